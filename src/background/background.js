@@ -4,41 +4,130 @@
  *
  * This module runs in the background context and:
  * - Listens for messages from the popup or other parts of the extension.
- * - Handles Google authentication checks and auth flow triggers.
+ * - Handles authentication checks (of the configured calendar provider) and
+ *   Google auth flow triggers.
  * - Executes the scheduling engine (runScheduler), which:
  *   - Validates user input.
  *   - Loads configuration from storage.
- *   - Fetches busy periods from Google Calendar.
+ *   - Fetches busy periods through the configured calendar provider
+ *     (Google Calendar, a CalDAV server, or the local offline calendar).
  *   - Generates time slots and filters free ones.
- *   - Creates events for each available slot.
+ *   - Creates events for each available slot, or returns the plan as a dry run.
+ * - Streams the progress of popup runs over a chrome.runtime port and stops
+ *   them between events when the user cancels.
+ * - Records every run in the history so it can be undone later.
+ * - Checkpoints runs while they create events, and resumes (or reports) the
+ *   runs interrupted by a service-worker shutdown when the worker restarts.
+ * - Schedules recurring plans with chrome.alarms and runs them through the
+ *   same scheduling engine.
+ * - Reflows extension-created blocks that new meetings now overlap, on demand
+ *   or periodically with chrome.alarms.
  */
-import { isAuthenticated, startAuthFlow, getAccessToken } from "../lib/auth.js";
-import { loadConfig } from "../storage/config.js";
+import { getAccessToken, isAuthenticated, signOut, startAuthFlow } from "../lib/auth.js";
+import { AuthError } from "../lib/apiErrors.js";
+import { loadConfig, validateConfig } from "../storage/config.js";
 import {
+  allocateBudget,
+  allocateTasks,
+  buildFocusBlocks,
   createTimeSlots,
   filterFreeSlots,
+  findNearestSlot,
+  getWorkingHours,
   maxTimeStr,
+  mergeBusyPeriods,
   minTimeStr,
 } from "../lib/scheduler.js";
+import { createCalendarProvider } from "../lib/providers/index.js";
+import { addRun, getRun, loadHistory, updateRun } from "../storage/history.js";
+import { deleteActiveRun, loadActiveRuns, saveActiveRun } from "../storage/activeRuns.js";
 import {
-  getBusyPeriodsForDay,
-  createEvent,
-} from "../lib/calendarApi.js";
+  addDays,
+  getZonedDateStr,
+  getZonedTimeStr,
+  isValidDateStr,
+  zonedTimeToUtc,
+} from "../lib/timezone.js";
+import { loadPlans, getPlan, setPlanLastRun } from "../storage/plans.js";
+import { buildPlanPayload, getNextRunTime } from "../lib/recurringPlans.js";
+import { saveLastReflow } from "../storage/reflow.js";
+import { buildIcs, expandIcsEvents } from "../lib/ics.js";
+import { loadImportedCalendars } from "../storage/importedCalendars.js";
+import { discoverCalendars } from "../lib/caldavApi.js";
+import { loadCaldavAccount } from "../storage/caldavAccount.js";
+import { getAccountEmail, getEventColors, listWritableCalendars } from "../lib/calendarApi.js";
+import { formatDateTime, t } from "../lib/i18n.js";
+import { loadEventColors, saveEventColors } from "../storage/eventColors.js";
+
+/** Prefix of the chrome.alarms names used for recurring plans. */
+const PLAN_ALARM_PREFIX = "plan:";
+
+/** Name of the periodic chrome.alarms alarm that runs the automatic reflow. */
+const REFLOW_ALARM = "reflow";
+
+/** Name of the chrome.runtime port the popup opens to follow a run. */
+const RUN_PORT_NAME = "scheduler-run";
+
+/**
+ * Maximum number of events of a run being created at the same time. Slots
+ * are taken from the queue one by one, so a cancellation stops the run
+ * after the events already in flight.
+ */
+const EVENT_CREATION_CONCURRENCY = 4;
+
+/** How long the cached Google event color palette is used before refetching it. */
+const EVENT_COLORS_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the response of a failed message. errorCode is the code of the
+ * typed API errors (see apiErrors.js), e.g. "auth" when Google must be
+ * connected again; it is omitted for other errors.
+ *
+ * @param {Error} err
+ * @returns {{ success: false; error: string; errorCode?: string }}
+ */
+function errorResponse(err) {
+  return { success: false, error: err.message, errorCode: err.code };
+}
 
 /**
  * Chrome runtime message listener.
  *
  * Supported message types:
- * - "CHECK_AUTH": verifies whether the user has a valid auth session.
+ * - "CHECK_AUTH": verifies whether the configured calendar provider is usable
+ *   (a valid Google session, a complete CalDAV account; the local provider
+ *   always is).
  * - "AUTH_GOOGLE": starts the Google OAuth flow.
  * - "RUN_SCHEDULER": triggers the scheduling logic with a given payload.
+ * - "PREVIEW_SCHEDULER": computes the plan for a payload without creating events.
+ * - "GET_HISTORY": returns the stored run history.
+ * - "UNDO_RUN": deletes every event created by a given run.
+ * - "SYNC_PLANS": reschedules the alarms after the recurring plans or the
+ *   time zone changed.
+ * - "RUN_PLAN": executes a recurring plan immediately.
+ * - "RUN_TASK_QUEUE" / "PREVIEW_TASK_QUEUE": plans several tasks in one pass
+ *   (creating the events, or only returning the combined plan).
+ * - "REFLOW_EVENTS": moves the blocks of a date range that now collide with
+ *   other busy time.
+ * - "SYNC_REFLOW": reschedules the automatic reflow alarm after the options changed.
+ * - "EXPORT_ICS": returns an iCalendar file for a past run or for preview slots.
+ * - "DISCOVER_CALDAV": lists the calendars of the saved CalDAV account.
+ * - "LIST_GOOGLE_CALENDARS": lists the writable Google calendars and the
+ *   event color palette (needs an existing Google session).
+ * - "GET_EVENT_COLORS": returns the Google event color palette (cached),
+ *   or null if it is not available.
+ * - "GET_ACCOUNT": returns the email of the connected Google account, or null
+ *   if there is no Google session.
+ * - "LOGOUT": revokes the Google tokens and removes them from storage.
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "CHECK_AUTH") {
     (async () => {
       try {
-        const ok = await isAuthenticated();
-        sendResponse({ isAuthenticated: ok });
+        const cfg = await loadConfig();
+        const provider = cfg.calendarProvider;
+        const ok = await createCalendarProvider(provider).isAuthenticated();
+        sendResponse({ isAuthenticated: ok, provider });
       } catch (err) {
         console.error("Error en CHECK_AUTH:", err);
         sendResponse({ isAuthenticated: false, error: err.message });
@@ -54,7 +143,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true });
       } catch (err) {
         console.error("Error en AUTH_GOOGLE:", err);
-        sendResponse({ success: false, error: err.message });
+        sendResponse(errorResponse(err));
       }
     })();
     return true;
@@ -68,162 +157,1941 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true, ...result });
       } catch (err) {
         console.error("Error en RUN_SCHEDULER:", err);
-        sendResponse({ success: false, error: err.message });
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PREVIEW_SCHEDULER") {
+    (async () => {
+      try {
+        const { payload } = message;
+        const result = await runScheduler(payload, { dryRun: true });
+        sendResponse({ success: true, ...result });
+      } catch (err) {
+        console.error("Error en PREVIEW_SCHEDULER:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "GET_HISTORY") {
+    (async () => {
+      try {
+        const history = await loadHistory();
+        sendResponse({ success: true, history });
+      } catch (err) {
+        console.error("Error en GET_HISTORY:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "UNDO_RUN") {
+    (async () => {
+      try {
+        const result = await undoRun(message.runId);
+        sendResponse({ success: true, ...result });
+      } catch (err) {
+        console.error("Error en UNDO_RUN:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "SYNC_PLANS") {
+    (async () => {
+      try {
+        await syncPlanAlarms();
+        sendResponse({ success: true });
+      } catch (err) {
+        console.error("Error en SYNC_PLANS:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "RUN_PLAN") {
+    (async () => {
+      try {
+        const lastRun = await executePlan(message.planId);
+        if (lastRun.success) {
+          sendResponse({ success: true, message: lastRun.message, lastRun });
+        } else {
+          sendResponse({ success: false, error: lastRun.message, lastRun });
+        }
+      } catch (err) {
+        console.error("Error en RUN_PLAN:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "RUN_TASK_QUEUE" || message.type === "PREVIEW_TASK_QUEUE") {
+    (async () => {
+      try {
+        const { payload } = message;
+        const dryRun = message.type === "PREVIEW_TASK_QUEUE";
+        const result = await runTaskQueue(payload, { dryRun });
+        sendResponse({ success: true, ...result });
+      } catch (err) {
+        console.error(`Error en ${message.type}:`, err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "REFLOW_EVENTS") {
+    (async () => {
+      try {
+        const result = await reflowEvents(message.payload);
+        sendResponse({ success: true, ...result });
+      } catch (err) {
+        console.error("Error en REFLOW_EVENTS:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "SYNC_REFLOW") {
+    (async () => {
+      try {
+        await syncReflowAlarm();
+        sendResponse({ success: true });
+      } catch (err) {
+        console.error("Error en SYNC_REFLOW:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "EXPORT_ICS") {
+    (async () => {
+      try {
+        const result = await exportIcs(message.payload);
+        sendResponse({ success: true, ...result });
+      } catch (err) {
+        console.error("Error en EXPORT_ICS:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "DISCOVER_CALDAV") {
+    (async () => {
+      try {
+        const account = await loadCaldavAccount();
+        if (!account.serverUrl || !account.username) {
+          throw new Error(t("errorCaldavUrlAndUser"));
+        }
+        const calendars = await discoverCalendars(account);
+        sendResponse({ success: true, calendars });
+      } catch (err) {
+        console.error("Error en DISCOVER_CALDAV:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "LIST_GOOGLE_CALENDARS") {
+    (async () => {
+      try {
+        const token = await getAccessToken({ interactive: false });
+        const [calendars, colors] = await Promise.all([
+          listWritableCalendars(token),
+          getEventColors(token),
+        ]);
+        await saveEventColors(colors);
+        sendResponse({ success: true, calendars, colors });
+      } catch (err) {
+        console.error("Error en LIST_GOOGLE_CALENDARS:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "GET_EVENT_COLORS") {
+    (async () => {
+      try {
+        sendResponse({ success: true, colors: await eventColorPalette() });
+      } catch (err) {
+        console.error("Error en GET_EVENT_COLORS:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "GET_ACCOUNT") {
+    (async () => {
+      try {
+        const token = await getAccessToken({ interactive: false });
+        sendResponse({ success: true, account: { email: await getAccountEmail(token) } });
+      } catch (err) {
+        // Sin sesión de Google (o revocada): no es un error para el popup
+        if (err instanceof AuthError) {
+          sendResponse({ success: true, account: null });
+          return;
+        }
+        console.error("Error en GET_ACCOUNT:", err);
+        sendResponse(errorResponse(err));
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "LOGOUT") {
+    (async () => {
+      try {
+        const revoked = await signOut();
+        sendResponse({ success: true, revoked });
+      } catch (err) {
+        console.error("Error en LOGOUT:", err);
+        sendResponse(errorResponse(err));
       }
     })();
     return true;
   }
 
   // Mensaje no reconocido
-  sendResponse({ success: false, error: "Tipo de mensaje no soportado." });
+  sendResponse({ success: false, error: t("errorUnsupportedMessage") });
   return true;
 });
 
-// ---------------- LÓGICA PRINCIPAL DEL SCHEDULER ----------------
+// Al arrancar el service worker: terminar las ejecuciones que quedaron a medias
+resumeInterruptedRuns().catch((err) =>
+  console.error("Error al reanudar ejecuciones interrumpidas:", err)
+);
+
+// ---------------- COLORES DE EVENTO ----------------
 /**
- * Executes the main scheduling logic.
+ * Returns the Google event color palette. The cached copy is refreshed once
+ * it is older than EVENT_COLORS_MAX_AGE_MS, as long as Google is the
+ * configured provider and its session is still valid; otherwise (or if the
+ * request fails) the cached copy is returned as is.
  *
- * Input payload is expected to contain:
- * - eventName: string                     // Title for the events to be created
- * - eventColor: string | number | null    // Google Calendar colorId
- * - dateStart: string                     // Start date (YYYY-MM-DD)
- * - dateEnd: string                       // End date (YYYY-MM-DD)
- * - workdayStart: string                  // Workday start (HH:MM)
- * - workdayEnd: string                    // Workday end (HH:MM)
- * - taskStart: string                     // Task time range start (HH:MM)
- * - taskEnd: string                       // Task time range end (HH:MM)
+ * @returns {Promise<Object<string, { background: string; foreground: string }> | null>}
+ *   Colors keyed by colorId, or null if they were never fetched.
+ */
+async function eventColorPalette() {
+  const cached = await loadEventColors();
+  if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < EVENT_COLORS_MAX_AGE_MS) {
+    return cached.colors;
+  }
+
+  const cfg = await loadConfig();
+  if (cfg.calendarProvider !== "google" || !(await isAuthenticated())) {
+    return cached?.colors || null;
+  }
+
+  try {
+    const colors = await getEventColors(await getAccessToken({ interactive: false }));
+    await saveEventColors(colors);
+    return colors;
+  } catch (err) {
+    console.warn("No se pudieron actualizar los colores de evento:", err);
+    return cached?.colors || null;
+  }
+}
+
+// ---------------- PROGRESO Y CANCELACIÓN ----------------
+/**
+ * Port listener for runs started from the popup ("scheduler-run").
  *
- * Behavior:
- * - For each date in [dateStart, dateEnd]:
- *   - Calculates the effective day range (taking into account workday and task window).
- *   - Generates time slots for that range (based on slotMinutes from config).
- *   - Fetches busy periods from Google Calendar for that day.
- *   - Filters out slots that intersect with busy periods.
- *   - Creates calendar events for each remaining free slot.
+ * Popup → background:
+ * - { type: "RUN_SCHEDULER" | "RUN_TASK_QUEUE", payload }: starts the run.
+ * - { type: "CANCEL" }: stops the run before its next event.
+ * Background → popup:
+ * - { type: "PROGRESS", progress }: see the onProgress option of runScheduler.
+ * - { type: "RESULT", success, ...result } or { type: "RESULT", ...errorResponse(err) }.
  *
- * @param {Object} payload - Scheduler configuration coming from the popup UI.
- * @returns {Promise<{ message: string; totalSlots: number; totalCreated: number }>}
- *   Summary of how many slots were generated and how many events were created.
- * @throws {Error} If any of the required payload fields are missing or invalid.
+ * Closing the popup does not cancel the run: it finishes in the background
+ * and is stored in the history as usual.
  */
-async function runScheduler(payload) {
-  // 1. Validar payload básico que viene del popup
-  const {
-    eventName,
-    eventColor,
-    dateStart,
-    dateEnd,
-    workdayStart,
-    workdayEnd,
-    taskStart,
-    taskEnd,
-  } = payload || {};
-
-  if (!eventName) throw new Error("Falta el nombre del evento.");
-  if (!dateStart || !dateEnd) throw new Error("Debes indicar fecha inicio y fin.");
-  if (!workdayStart || !workdayEnd) throw new Error("Debes indicar el horario laboral.");
-  if (!taskStart || !taskEnd) throw new Error("Debes indicar el rango de la tarea.");
-
-  // 2. Config global desde Options (calendarId, slotMinutes, timezone)
-  const cfg = await loadConfig();
-  const calendarId = cfg.calendarId || "primary";
-  const slotMinutes = parseInt(cfg.slotMinutes || "30", 10);
-  const timeZone = cfg.timezone || "America/Bogota";
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== RUN_PORT_NAME) return;
+
+  const controller = new AbortController();
+  let connected = true;
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+
+  port.onDisconnect.addListener(() => {
+    connected = false;
+  });
+
+  port.onMessage.addListener(async (message) => {
+    if (message.type === "CANCEL") {
+      controller.abort();
+      return;
+    }
+
+    const run = { RUN_SCHEDULER: runScheduler, RUN_TASK_QUEUE: runTaskQueue }[message.type];
+    if (!run) {
+      post({ type: "RESULT", success: false, error: t("errorUnsupportedMessage") });
+      return;
+    }
+
+    try {
+      const result = await run(message.payload, {
+        signal: controller.signal,
+        onProgress: (progress) => post({ type: "PROGRESS", progress }),
+      });
+      post({ type: "RESULT", success: true, ...result });
+    } catch (err) {
+      console.error(`Error en ${message.type}:`, err);
+      post({ type: "RESULT", ...errorResponse(err) });
+    }
+  });
+});
 
-  // 3. Token de acceso
-  const accessToken = await getAccessToken();
+/**
+ * Throws if the run was cancelled (used between planning steps, where
+ * nothing has been written yet).
+ *
+ * @param {AbortSignal} [signal]
+ * @throws {Error} If the signal is aborted.
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new Error(t("errorRunCancelled"));
+}
 
-  // 4. Loop de fechas (inspirado en tu Python)
-  const startDate = new Date(dateStart); // 'YYYY-MM-DD'
-  const endDate = new Date(dateEnd);
+/**
+ * Builds the cancellation part of the result message (empty if the run was
+ * not cancelled).
+ *
+ * @param {{ eventIds: string[]; failedSlots: Array<Object>; cancelled?: boolean }} run
+ * @param {number} total - Number of slots the run meant to create.
+ * @returns {string}
+ */
+function formatCancelMessage(run, total) {
+  if (!run.cancelled) return "";
+  const pending = total - run.eventIds.length - run.failedSlots.length;
+  return ` ${t("resultCancelled", pending)}`;
+}
 
-  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-    throw new Error("Formato de fecha inválido.");
+// ---------------- PLANES RECURRENTES (chrome.alarms) ----------------
+/**
+ * Alarm listener: runs the automatic reflow, or executes the recurring plan
+ * the alarm belongs to.
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REFLOW_ALARM) {
+    runAutoReflow().catch((err) => console.error("Error en el reacomodo automático:", err));
+    return;
   }
+  if (!alarm.name.startsWith(PLAN_ALARM_PREFIX)) return;
+
+  const planId = alarm.name.slice(PLAN_ALARM_PREFIX.length);
+  executePlan(planId).catch((err) => {
+    console.error(`Error al ejecutar el plan ${planId}:`, err);
+  });
+});
+
+// Las alarmas sobreviven a reinicios del service worker, pero no siempre a
+// actualizaciones de la extensión: se recalculan al instalar y al arrancar.
+chrome.runtime.onInstalled.addListener(() => {
+  syncPlanAlarms().catch((err) => console.error("Error al programar planes:", err));
+  syncReflowAlarm().catch((err) => console.error("Error al programar el reacomodo:", err));
+});
+chrome.runtime.onStartup.addListener(() => {
+  syncPlanAlarms().catch((err) => console.error("Error al programar planes:", err));
+  syncReflowAlarm().catch((err) => console.error("Error al programar el reacomodo:", err));
+});
+
+/**
+ * Recreates one alarm per enabled recurring plan, at its next run time in
+ * the configured time zone. Alarms of deleted or disabled plans are removed.
+ *
+ * @returns {Promise<void>}
+ */
+async function syncPlanAlarms() {
+  const [plans, cfg, alarms] = await Promise.all([
+    loadPlans(),
+    loadConfig(),
+    chrome.alarms.getAll(),
+  ]);
+  const timeZone = cfg.timezone;
+
+  await Promise.all(
+    alarms
+      .filter((alarm) => alarm.name.startsWith(PLAN_ALARM_PREFIX))
+      .map((alarm) => chrome.alarms.clear(alarm.name))
+  );
 
-  if (endDate < startDate) {
-    throw new Error("La fecha fin no puede ser menor a la fecha inicio.");
+  for (const plan of plans) {
+    if (plan.enabled) scheduleNextPlanRun(plan, timeZone);
   }
+}
 
-  let current = new Date(startDate.getTime());
-  let totalSlots = 0;
-  let totalCreated = 0;
+/**
+ * Creates the alarm for the next occurrence of a plan.
+ * A one-shot alarm is used (instead of periodInMinutes) and recreated after
+ * every run, so DST changes never shift the local run time.
+ *
+ * @param {Object} plan
+ * @param {string} timeZone
+ */
+function scheduleNextPlanRun(plan, timeZone) {
+  const when = getNextRunTime(plan, timeZone).getTime();
+  chrome.alarms.create(PLAN_ALARM_PREFIX + plan.id, { when });
+  console.log(`Plan "${plan.name}" programado para ${new Date(when).toISOString()}.`);
+}
 
-  while (current <= endDate) {
-    const dateStr = current.toISOString().slice(0, 10); // YYYY-MM-DD
-    console.log(`Procesando día ${dateStr}...`);
+/**
+ * Executes a recurring plan through runScheduler, stores its last run status
+ * and schedules its next occurrence.
+ *
+ * @param {string} planId
+ * @returns {Promise<{ at: string; success: boolean; message: string; runId?: string }>}
+ *   The stored last run status.
+ * @throws {Error} If the plan does not exist.
+ */
+async function executePlan(planId) {
+  const plan = await getPlan(planId);
+  if (!plan) throw new Error(t("errorPlanNotFound"));
 
-    let dayStartStr;
-    let dayEndStr;
+  const cfg = await loadConfig();
+  const timeZone = cfg.timezone;
 
-    const sameDay = startDate.toDateString() === endDate.toDateString();
-    const isFirst = current.toDateString() === startDate.toDateString();
-    const isLast = current.toDateString() === endDate.toDateString();
+  let lastRun;
+  try {
+    const payload = buildPlanPayload(plan, timeZone);
+    const result = await runScheduler(payload, { interactive: false });
+    lastRun = {
+      at: new Date().toISOString(),
+      success: true,
+      message: result.message,
+      runId: result.runId,
+    };
+  } catch (err) {
+    console.error(`Error en el plan "${plan.name}":`, err);
+    lastRun = { at: new Date().toISOString(), success: false, message: err.message };
+  }
 
-    if (sameDay) {
-      dayStartStr = maxTimeStr(workdayStart, taskStart);
-      dayEndStr = minTimeStr(workdayEnd, taskEnd);
-    } else if (isFirst) {
-      dayStartStr = maxTimeStr(workdayStart, taskStart);
-      dayEndStr = workdayEnd;
-    } else if (isLast) {
-      dayStartStr = workdayStart;
-      dayEndStr = minTimeStr(workdayEnd, taskEnd);
-    } else {
-      dayStartStr = workdayStart;
-      dayEndStr = workdayEnd;
-    }
+  await setPlanLastRun(planId, lastRun);
+  if (plan.enabled) scheduleNextPlanRun(plan, timeZone);
 
-    // Validar rango horario del día
-    if (!isValidRange(dayStartStr, dayEndStr)) {
-      console.log(
-        `Saltando día ${dateStr} porque el rango calculado ${dayStartStr}-${dayEndStr} no es válido.`
-      );
-      current.setDate(current.getDate() + 1);
-      continue;
-    }
+  return lastRun;
+}
 
-    // 5. Crear slots del día
-    const daySlots = createTimeSlots(dateStr, dayStartStr, dayEndStr, slotMinutes);
-    totalSlots += daySlots.length;
+// ---------------- REACOMODO DE BLOQUES ----------------
+/**
+ * Creates (or removes) the periodic reflow alarm from the options:
+ * reflowIntervalHours = 0 or empty disables the automatic reflow.
+ *
+ * @returns {Promise<void>}
+ */
+async function syncReflowAlarm() {
+  const cfg = await loadConfig();
+  const hours = cfg.reflowIntervalHours;
 
-    // 6. Consultar busy en Google
-    const busyPeriods = await getBusyPeriodsForDay(accessToken, {
-      calendarId,
-      dateStr,
-      startTimeStr: dayStartStr,
-      endTimeStr: dayEndStr,
-      timeZone,
-    });
+  await chrome.alarms.clear(REFLOW_ALARM);
+  if (hours > 0) {
+    chrome.alarms.create(REFLOW_ALARM, { periodInMinutes: hours * 60 });
+  }
+}
 
-    // 7. Filtrar slots libres
-    const freeSlots = filterFreeSlots(daySlots, busyPeriods);
-    console.log(
-      `Bloques generados: ${daySlots.length} | Bloques libres: ${freeSlots.length}`
+/**
+ * Reflows the next reflowDays days (from today in the configured time zone)
+ * and stores the outcome for the options page.
+ *
+ * @returns {Promise<void>}
+ */
+async function runAutoReflow() {
+  const cfg = await loadConfig();
+  const timeZone = cfg.timezone;
+  const days = cfg.reflowDays;
+  const today = getZonedDateStr(new Date(), timeZone);
+
+  let lastReflow;
+  try {
+    const result = await reflowEvents(
+      { dateStart: today, dateEnd: addDays(today, days - 1) },
+      { interactive: false }
     );
+    lastReflow = {
+      at: new Date().toISOString(),
+      success: true,
+      message: result.message,
+      unplaced: result.unplaced,
+    };
+  } catch (err) {
+    lastReflow = { at: new Date().toISOString(), success: false, message: err.message };
+  }
 
-    // 8. Crear eventos por cada slot libre
-    for (const slot of freeSlots) {
-      await createEvent(accessToken, {
-        calendarId,
-        summary: eventName,
-        start: slot.start,
-        end: slot.end,
-        timeZone,
-        colorId: eventColor,
-      });
-      totalCreated += 1;
-    }
+  await saveLastReflow(lastReflow);
+}
 
-    current.setDate(current.getDate() + 1);
+/**
+ * Moves the extension-created blocks of a date range that now overlap other
+ * busy time (e.g. a meeting booked on top of them).
+ *
+ * Input payload is expected to contain:
+ * - dateStart: string   // First date to check (YYYY-MM-DD)
+ * - dateEnd: string     // Last date to check (YYYY-MM-DD)
+ *
+ * Behavior:
+ * - Only future blocks are moved; the ones already started are left alone.
+ * - Each block goes to the free time closest to its current start, within
+ *   the weekly working hours and before the task deadline stored on the
+ *   event (the end of the range for blocks without one).
+ * - Free time excludes other events (imported .ics calendars included) and
+ *   the blocks that stay in place.
+ * - Blocks that do not fit, or whose move fails, are reported in unplaced.
+ *
+ * @param {{ dateStart: string; dateEnd: string }} payload
+ * @param {{ interactive?: boolean }} [options]
+ *   interactive: when false (alarms), fails instead of opening a Google login.
+ * @returns {Promise<{
+ *   message: string;
+ *   moved: Array<{ eventId: string; summary: string; from: string; to: string }>;
+ *   unplaced: Array<{ eventId: string; summary: string; start: string; reason: string }>;
+ * }>}
+ * @throws {Error} If the date range is invalid.
+ */
+async function reflowEvents(payload, { interactive = true } = {}) {
+  const { dateStart, dateEnd } = payload || {};
+
+  if (!isValidDateStr(dateStart) || !isValidDateStr(dateEnd) || dateEnd < dateStart) {
+    throw new Error(t("errorReflowRange"));
   }
 
-  return {
-    message: `Bloques totales: ${totalSlots}. Eventos creados: ${totalCreated}.`,
-    totalSlots,
-    totalCreated,
-  };
-}
+  const { calendarId, busyCalendarIds, slotMinutes, weeklySchedule, timeZone, provider } =
+    await loadSchedulerSettings();
+  const calendar = createCalendarProvider(provider, { interactive });
+
+  const now = new Date();
+  const rangeStart = zonedTimeToUtc(dateStart, "00:00", timeZone);
+  const rangeEnd = zonedTimeToUtc(addDays(dateEnd, 1), "00:00", timeZone);
+
+  const blocks = await calendar.listSchedulerEvents({
+    calendarId,
+    timeMin: rangeStart,
+    timeMax: rangeEnd,
+  });
+  const future = blocks.filter((block) => block.start >= now);
+  if (!future.length) {
+    return { message: t("reflowNoBlocks"), moved: [], unplaced: [] };
+  }
+
+  // Los bloques pueden moverse hasta su deadline, aunque quede fuera del rango
+  const deadlineOf = (block) => block.deadline || rangeEnd;
+  const horizonEnd = new Date(Math.max(...future.map((block) => deadlineOf(block).getTime())));
+
+  const busyFrom = rangeStart < now ? rangeStart : now;
+  const busyTo = horizonEnd > rangeEnd ? horizonEnd : rangeEnd;
+  const calendarBusy = await calendar.getBusyPeriodsExcludingScheduler({
+    calendarIds: busyCalendarIds,
+    timeMin: busyFrom,
+    timeMax: busyTo,
+    timeZone,
+  });
+  const busy = mergeBusyPeriods([
+    ...calendarBusy,
+    ...(await getImportedBusyPeriods(busyFrom, busyTo, timeZone)),
+  ]);
+
+  const collides = (block) =>
+    busy.some((period) => block.start < period.end && period.start < block.end);
+  const conflicted = future.filter(collides);
+  if (!conflicted.length) {
+    return { message: t("reflowNoConflicts"), moved: [], unplaced: [] };
+  }
+
+  // Huecos de horario laboral desde hoy hasta el deadline más lejano
+  const workingSlots = [];
+  const lastDate = getZonedDateStr(horizonEnd, timeZone);
+  for (
+    let dateStr = getZonedDateStr(now, timeZone);
+    dateStr <= lastDate;
+    dateStr = addDays(dateStr, 1)
+  ) {
+    const hours = getWorkingHours(dateStr, weeklySchedule);
+    if (!hours) continue;
+    workingSlots.push(...createTimeSlots(dateStr, hours.start, hours.end, slotMinutes, timeZone));
+  }
+
+  const occupied = [...busy, ...blocks.filter((block) => !conflicted.includes(block))];
+  const moved = [];
+  const unplaced = [];
+
+  for (const block of conflicted) {
+    const free = mergeBusyPeriods(filterFreeSlots(workingSlots, occupied));
+    const target = findNearestSlot(free, block.end - block.start, block.start, {
+      notBefore: now,
+      notAfter: deadlineOf(block),
+    });
+
+    if (!target) {
+      unplaced.push({
+        eventId: block.id,
+        summary: block.summary,
+        start: block.start.toISOString(),
+        reason: t("reflowNoFreeSlot"),
+      });
+      occupied.push(block);
+      continue;
+    }
+
+    try {
+      await calendar.moveEvent({
+        calendarId,
+        eventId: block.id,
+        start: target.start,
+        end: target.end,
+        timeZone,
+      });
+      occupied.push(target);
+      moved.push({
+        eventId: block.id,
+        summary: block.summary,
+        from: block.start.toISOString(),
+        to: target.start.toISOString(),
+      });
+    } catch (err) {
+      console.error(`No se pudo mover el bloque ${block.id}:`, err);
+      occupied.push(block);
+      unplaced.push({
+        eventId: block.id,
+        summary: block.summary,
+        start: block.start.toISOString(),
+        reason: err.message,
+      });
+    }
+  }
+
+  const unplacedMessage = unplaced.length
+    ? ` ${t("reflowUnplaced", unplaced.map((u) => formatBlockLabel(u, timeZone)).join(", "))}`
+    : "";
+
+  return {
+    message: t("reflowResult", [conflicted.length, moved.length]) + unplacedMessage,
+    moved,
+    unplaced,
+  };
+}
+
+/**
+ * Describes a block as `"summary" (date time)` in the given time zone.
+ *
+ * @param {{ summary: string; start: string }} block
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatBlockLabel(block, timeZone) {
+  const when = formatDateTime(block.start, { dateStyle: "short", timeStyle: "short", timeZone });
+  return `"${block.summary}" (${when})`;
+}
+
+// ---------------- LÓGICA PRINCIPAL DEL SCHEDULER ----------------
+/**
+ * Executes the main scheduling logic.
+ *
+ * Input payload is expected to contain:
+ * - eventName: string                     // Title for the events to be created
+ * - eventColor: string | number | null    // Google Calendar colorId
+ * - dateStart: string                     // Start date (YYYY-MM-DD)
+ * - dateEnd: string                       // End date (YYYY-MM-DD)
+ * - workdayStart?: string                 // Workday start override (HH:MM)
+ * - workdayEnd?: string                   // Workday end override (HH:MM)
+ * - taskStart: string                     // Task time range start (HH:MM)
+ * - taskEnd: string                       // Task time range end (HH:MM)
+ * - requiredHours?: number | string       // Time budget; empty = fill every free slot
+ * - selectedSlots?: Array<{ start: string; end: string }>
+ *                                         // ISO slots confirmed from a preview
+ *
+ * Behavior:
+ * - If selectedSlots is present, creates exactly those events and skips planning.
+ * - Otherwise builds the per-day plan (see buildPlan) and, unless dryRun is set,
+ *   creates calendar events for each planned slot. With requiredHours, only
+ *   the first free slots covering that budget are planned and any shortfall
+ *   before the task end is reported.
+ * - Slots whose event could not be created (after the API layer's retries)
+ *   do not abort the run; they are reported in failedSlots.
+ * - Every run that created at least one event is stored in the run history
+ *   (even if it failed midway), together with the created event IDs.
+ * - When signal is aborted, planning stops with an error and event creation
+ *   stops before the next event; the events already created are kept.
+ *
+ * @param {Object} payload - Scheduler configuration coming from the popup UI.
+ * @param {{
+ *   dryRun?: boolean;
+ *   interactive?: boolean;
+ *   signal?: AbortSignal;
+ *   onProgress?: (progress: Object) => void;
+ * }} [options]
+ *   dryRun: when true, only the plan is returned and no event is written.
+ *   interactive: when false (alarms), fails instead of opening a Google login.
+ *   signal: cancels the run.
+ *   onProgress: called once per planned day
+ *     ({ stage: "planning", date, dayIndex, totalDays, slots, free, planned, skipped })
+ *     and once per event attempt
+ *     ({ stage: "creating", created, failed, total, start, error? }).
+ * @returns {Promise<{
+ *   message: string;
+ *   totalSlots: number;
+ *   totalCreated: number;
+ *   shortfallMinutes?: number;
+ *   failedSlots?: Array<{ start: string; end: string; error: string }>;
+ *   cancelled?: boolean;
+ *   runId?: string;
+ *   plan?: Object;
+ * }>}
+ *   Summary of how many slots were generated and how many events were created.
+ *   In dry-run mode it also includes the serialized plan.
+ * @throws {Error} If any of the required payload fields are missing or invalid.
+ */
+async function runScheduler(
+  payload,
+  { dryRun = false, interactive = true, signal, onProgress } = {}
+) {
+  // 1. Validar payload básico que viene del popup
+  const { eventName, eventColor, selectedSlots } = payload || {};
+
+  if (!eventName) throw new Error(t("errorEventNameMissing"));
+
+  // 2. Config global desde Options (calendarId, slotMinutes, timezone...)
+  const settings = await loadSchedulerSettings();
+  const { calendarId, timeZone } = settings;
+
+  // 3. Calendario (Google o local) según la configuración
+  const calendar = createCalendarProvider(settings.provider, { interactive });
+
+  const eventParams = {
+    calendarId,
+    summary: eventName,
+    timeZone,
+    colorId: eventColor,
+    deadline: parseZonedDateTime(`${payload.dateEnd}T${payload.taskEnd}`, timeZone) || undefined,
+    ...settings.template,
+  };
+  const run = createRun(payload, settings);
+
+  // Confirmación de una previsualización: solo se crean los slots elegidos
+  if (Array.isArray(selectedSlots)) {
+    const slots = selectedSlots.map(deserializeSlot);
+    await executeRun(calendar, run, slots, eventParams, { signal, onProgress });
+    return {
+      message:
+        t("resultEventsCreated", run.eventIds.length) +
+        formatFailureMessage(run) +
+        formatCancelMessage(run, slots.length),
+      totalSlots: slots.length,
+      totalCreated: run.eventIds.length,
+      failedSlots: run.failedSlots,
+      cancelled: Boolean(run.cancelled),
+      runId: run.id,
+    };
+  }
+
+  // 4. Plan por día (slots, ocupados y días saltados)
+  const budgetMinutes = parseBudgetMinutes(payload.requiredHours);
+  const plan = await buildPlan(
+    calendar,
+    payload,
+    { ...settings, budgetMinutes, task: eventName },
+    { signal, onProgress }
+  );
+  const budgetMessage =
+    formatExistingMessage(plan, eventName) +
+    formatBudgetMessage(budgetMinutes, plan.shortfallMinutes);
+
+  if (dryRun) {
+    return {
+      message: t("resultBlocksProposed", [plan.totalSlots, plan.totalPlanned]) + budgetMessage,
+      totalSlots: plan.totalSlots,
+      totalCreated: 0,
+      shortfallMinutes: plan.shortfallMinutes,
+      plan: serializePlan(plan, timeZone),
+    };
+  }
+
+  // 5. Crear eventos por cada slot planificado
+  const slots = plan.days.flatMap((day) => day.plannedSlots);
+  await executeRun(calendar, run, slots, eventParams, { signal, onProgress });
+
+  const totalCreated = run.eventIds.length;
+  return {
+    message:
+      t("resultBlocksCreated", [plan.totalSlots, totalCreated]) +
+      budgetMessage +
+      formatFailureMessage(run) +
+      formatCancelMessage(run, plan.totalPlanned),
+    totalSlots: plan.totalSlots,
+    totalCreated,
+    shortfallMinutes: plan.shortfallMinutes,
+    failedSlots: run.failedSlots,
+    cancelled: Boolean(run.cancelled),
+    runId: run.id,
+  };
+}
+
+/**
+ * Plans several queued tasks in one pass (multi-task planning).
+ *
+ * Input payload is expected to contain:
+ * - tasks: Array<{
+ *     id: string;
+ *     name: string;              // event title for the task's blocks
+ *     color?: string;            // Google Calendar colorId
+ *     hours: number | string;    // time the task needs
+ *     deadline: string;          // "YYYY-MM-DDTHH:MM" in the configured time zone
+ *     priority?: number | string; // 1 = highest
+ *   }>
+ * - strategy?: "deadline" | "priority"   // allocation order (default "deadline")
+ * - start?: string                       // "YYYY-MM-DDTHH:MM"; empty or past = now
+ * - selectedSlots?: Array<{ start: string; end: string; summary: string; colorId?: string }>
+ *
+ * Free time between start and the latest deadline is computed exactly as in
+ * runScheduler (weekly schedule, conflict calendars, focus blocks) and then
+ * shared among the tasks with allocateTasks.
+ *
+ * @param {Object} payload
+ * @param {{ dryRun?: boolean; signal?: AbortSignal; onProgress?: (progress: Object) => void }} [options]
+ *   signal / onProgress: same as in runScheduler.
+ * @returns {Promise<{
+ *   message: string;
+ *   totalCreated: number;
+ *   unplacedTasks: Array<{ id: string; name: string; missingMinutes: number }>;
+ *   failedSlots?: Array<Object>;
+ *   cancelled?: boolean;
+ *   runId?: string;
+ *   plan?: Object;
+ * }>}
+ * @throws {Error} If the queue is empty or a task is invalid.
+ */
+async function runTaskQueue(payload, { dryRun = false, signal, onProgress } = {}) {
+  const { tasks, strategy = "deadline", start, selectedSlots } = payload || {};
+
+  if (!Array.isArray(tasks) || !tasks.length) {
+    throw new Error(t("errorQueueEmpty"));
+  }
+
+  const settings = await loadSchedulerSettings();
+  const { calendarId, timeZone } = settings;
+  const queued = tasks.map((task) => parseQueuedTask(task, timeZone));
+
+  const calendar = createCalendarProvider(settings.provider);
+  const eventParams = { calendarId, timeZone, ...settings.template };
+  const run = createRun(payload, settings);
+
+  // Confirmación de una previsualización: cada slot trae su título y color
+  if (Array.isArray(selectedSlots)) {
+    const deadlineByName = new Map(queued.map((task) => [task.name, task.deadline]));
+    const slots = selectedSlots.map((slot) => ({
+      ...deserializeSlot(slot),
+      summary: slot.summary,
+      colorId: slot.colorId,
+      deadline: deadlineByName.get(slot.summary),
+    }));
+    await executeRun(calendar, run, slots, eventParams, { signal, onProgress });
+    return {
+      message:
+        t("resultEventsCreated", run.eventIds.length) +
+        formatFailureMessage(run) +
+        formatCancelMessage(run, slots.length),
+      totalCreated: run.eventIds.length,
+      unplacedTasks: [],
+      failedSlots: run.failedSlots,
+      cancelled: Boolean(run.cancelled),
+      runId: run.id,
+    };
+  }
+
+  // Ventana: desde el inicio indicado (nunca antes de ahora) hasta el deadline más tardío
+  const requestedStart = start ? parseZonedDateTime(start, timeZone) : new Date();
+  if (!requestedStart) throw new Error(t("errorQueueStart"));
+  const startAt = new Date(Math.max(requestedStart.getTime(), Date.now()));
+  const latestDeadline = new Date(Math.max(...queued.map((task) => task.deadline.getTime())));
+
+  if (latestDeadline <= startAt) {
+    throw new Error(t("errorQueueDeadlinesPast"));
+  }
+
+  const plan = await buildPlan(
+    calendar,
+    {
+      dateStart: getZonedDateStr(startAt, timeZone),
+      taskStart: getZonedTimeStr(startAt, timeZone),
+      dateEnd: getZonedDateStr(latestDeadline, timeZone),
+      taskEnd: getZonedTimeStr(latestDeadline, timeZone),
+    },
+    { ...settings, budgetMinutes: null },
+    { signal, onProgress }
+  );
+
+  // Descontar lo que cada tarea ya tiene reservado antes de su deadline
+  for (const task of queued) {
+    const existingMinutes = plan.existingBlocks
+      .filter((block) => block.task === task.name && block.end <= task.deadline)
+      .reduce((sum, block) => sum + (block.end - block.start) / (60 * 1000), 0);
+    task.minutes = Math.max(0, task.minutes - existingMinutes);
+  }
+
+  // Repartir el tiempo libre entre las tareas
+  const candidates = plan.days.flatMap((day) => day.plannedSlots);
+  const { allocations, unplaced } = allocateTasks(candidates, queued, strategy, {
+    minMinutes: settings.focusBlocks ? settings.focusBlocks.minMinutes : settings.slotMinutes,
+  });
+  const taskById = new Map(queued.map((task) => [task.id, task]));
+
+  for (const day of plan.days) {
+    day.plannedSlots = allocations
+      .filter((a) => getZonedDateStr(a.start, timeZone) === day.date)
+      .map((a) => ({
+        start: a.start,
+        end: a.end,
+        summary: taskById.get(a.taskId).name,
+        colorId: taskById.get(a.taskId).color,
+        deadline: taskById.get(a.taskId).deadline,
+      }));
+  }
+  plan.totalPlanned = allocations.length;
+
+  const unplacedTasks = unplaced.map(({ taskId, missingMinutes }) => ({
+    id: taskId,
+    name: taskById.get(taskId).name,
+    missingMinutes,
+  }));
+  const unplacedMessage = formatUnplacedMessage(unplacedTasks);
+
+  if (dryRun) {
+    return {
+      message: t("resultQueueProposed", [plan.totalPlanned, queued.length]) + unplacedMessage,
+      totalCreated: 0,
+      unplacedTasks,
+      plan: serializePlan(plan, timeZone),
+    };
+  }
+
+  const slots = plan.days.flatMap((day) => day.plannedSlots);
+  await executeRun(calendar, run, slots, eventParams, { signal, onProgress });
+
+  return {
+    message:
+      t("resultQueueCreated", [run.eventIds.length, queued.length]) +
+      unplacedMessage +
+      formatFailureMessage(run) +
+      formatCancelMessage(run, plan.totalPlanned),
+    totalCreated: run.eventIds.length,
+    unplacedTasks,
+    failedSlots: run.failedSlots,
+    cancelled: Boolean(run.cancelled),
+    runId: run.id,
+  };
+}
+
+/**
+ * Validates a queued task coming from the popup and normalizes it for
+ * allocateTasks.
+ *
+ * @param {Object} task - Raw task (see runTaskQueue).
+ * @param {string} timeZone
+ * @returns {{ id: string; name: string; color: string; minutes: number; deadline: Date; priority: number }}
+ * @throws {Error} If a required field is missing or invalid.
+ */
+function parseQueuedTask(task, timeZone) {
+  const name = (task?.name || "").trim();
+  if (!name) throw new Error(t("errorQueueTaskName"));
+
+  const hours = Number(task.hours);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    throw new Error(t("errorQueueTaskHours", name));
+  }
+
+  const deadline = parseZonedDateTime(task.deadline, timeZone);
+  if (!deadline) throw new Error(t("errorQueueTaskDeadline", name));
+
+  return {
+    id: task.id || name,
+    name,
+    color: task.color,
+    minutes: Math.round(hours * 60),
+    deadline,
+    priority: parseInt(task.priority, 10) || 3,
+  };
+}
+
+/**
+ * Parses a "YYYY-MM-DDTHH:MM" wall-clock value (datetime-local input) in the
+ * given time zone.
+ *
+ * @param {string} value
+ * @param {string} timeZone
+ * @returns {Date | null} The instant, or null if the value is malformed.
+ */
+function parseZonedDateTime(value, timeZone) {
+  const [dateStr, timeStr] = (value || "").split("T");
+  if (!isValidDateStr(dateStr) || !/^\d{2}:\d{2}$/.test(timeStr || "")) return null;
+  return zonedTimeToUtc(dateStr, timeStr, timeZone);
+}
+
+/**
+ * Builds the part of the result message listing tasks that did not fit.
+ *
+ * @param {Array<{ name: string; missingMinutes: number }>} unplacedTasks
+ * @returns {string}
+ */
+function formatUnplacedMessage(unplacedTasks) {
+  if (!unplacedTasks.length) return "";
+
+  const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+  const list = unplacedTasks
+    .map((task) => t("queueTaskMissingHours", [task.name, toHours(task.missingMinutes)]))
+    .join(", ");
+  return ` ${t("resultQueueUnplaced", list)}`;
+}
+
+/**
+ * Creates the run record that is filled while events are created and then
+ * stored in the history.
+ *
+ * @param {Object} payload - Original payload (selectedSlots are not stored).
+ * @param {{ calendarId: string; provider: string }} settings - Calendar (and its
+ *   provider) the events are written to, so undo/export use the same one.
+ * @returns {{
+ *   id: string;
+ *   createdAt: string;
+ *   payload: Object;
+ *   provider: string;
+ *   calendarId: string;
+ *   eventIds: string[];
+ *   failedSlots: Array<Object>;
+ * }}
+ */
+function createRun(payload, { calendarId, provider }) {
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    payload: { ...payload, selectedSlots: undefined },
+    provider,
+    calendarId,
+    eventIds: [],
+    failedSlots: [],
+  };
+}
+
+/**
+ * Loads the global scheduler settings from the options page. The stored
+ * config is validated again, since configs synced from older versions of
+ * the extension were saved without validation.
+ *
+ * @returns {Promise<{
+ *   calendarId: string;
+ *   busyCalendarIds: string[];
+ *   slotMinutes: number;
+ *   weeklySchedule: Array<{ enabled: boolean; start: string; end: string }>;
+ *   focusBlocks: { minMinutes: number; maxMinutes: number } | null;
+ *   timeZone: string;
+ *   provider: string;       // calendar provider ID (see providers/index.js)
+ *   template: Object;       // event template (see parseEventTemplate)
+ * }>}
+ * @throws {Error} If the stored config is invalid (see validateConfig).
+ */
+async function loadSchedulerSettings() {
+  const cfg = await loadConfig();
+
+  const [invalid] = Object.values(validateConfig(cfg));
+  if (invalid) {
+    throw new Error(t("errorConfigInvalid", invalid));
+  }
+
+  return {
+    calendarId: cfg.calendarId,
+    // Calendarios a revisar para conflictos; por defecto, solo el de destino
+    busyCalendarIds: cfg.busyCalendarIds.length ? cfg.busyCalendarIds : [cfg.calendarId],
+    slotMinutes: cfg.slotMinutes,
+    weeklySchedule: cfg.weeklySchedule,
+    focusBlocks: parseFocusBlockLimits(cfg),
+    timeZone: cfg.timezone,
+    provider: cfg.calendarProvider,
+    template: parseEventTemplate(cfg),
+  };
+}
+
+/**
+ * Builds the per-day scheduling plan without writing anything to the calendar.
+ *
+ * Blocks already created by the extension in the task window (previous or
+ * partially failed runs) are listed first: they count as busy time, and the
+ * ones of the same task count toward budgetMinutes, so re-runs only fill gaps.
+ *
+ * For each calendar date in [dateStart, dateEnd] (wall-clock dates in timeZone):
+ * - Resolves the working hours of that weekday (or the popup override); days
+ *   off in the weekly schedule are skipped.
+ * - Calculates the effective day range (taking into account workday and task window).
+ * - Generates time slots for that range (based on slotMinutes from config).
+ * - Fetches busy periods for that day from every conflict calendar and adds
+ *   the occurrences of the imported .ics calendars (merged).
+ * - Filters out slots that intersect with busy periods.
+ * - In focus-block mode, merges contiguous free slots into longer blocks.
+ * - Plans the free slots/blocks, or only those needed to cover budgetMinutes.
+ * Days whose effective range is empty, or that come after the budget is
+ * covered, are kept in the plan as skipped (no freeBusy query is made).
+ *
+ * @param {Object} calendar - Calendar provider (see providers/index.js).
+ * @param {Object} payload - Scheduler payload (see runScheduler).
+ * @param {{
+ *   calendarId: string;             // target calendar (existing blocks)
+ *   busyCalendarIds: string[];      // calendars checked for conflicts
+ *   slotMinutes: number;
+ *   timeZone: string;
+ *   budgetMinutes: number | null;   // null = plan every free slot
+ *   weeklySchedule: Array<{ enabled: boolean; start: string; end: string }>;
+ *   focusBlocks: { minMinutes: number; maxMinutes: number } | null; // null = fixed slots
+ *   task?: string;                  // event name whose existing blocks count toward the budget
+ * }} settings
+ * @param {{ signal?: AbortSignal; onProgress?: (progress: Object) => void }} [options]
+ *   signal: checked before each day; onProgress: called once per day
+ *   (see runScheduler).
+ * @returns {Promise<{
+ *   days: Array<{
+ *     date: string;
+ *     dayStart: string;
+ *     dayEnd: string;
+ *     skipped: boolean;
+ *     reason?: string;
+ *     slots: Array<{ start: Date; end: Date }>;
+ *     busy: Array<{ start: Date; end: Date }>;
+ *     freeSlots: Array<{ start: Date; end: Date }>;
+ *     plannedSlots: Array<{ start: Date; end: Date }>;
+ *     existing: Array<{ id: string; task: string; start: Date; end: Date }>;
+ *   }>;
+ *   existingBlocks: Array<{ id: string; task: string; start: Date; end: Date }>;
+ *   totalSlots: number;
+ *   totalFree: number;
+ *   totalPlanned: number;
+ *   shortfallMinutes: number;   // budget left uncovered (0 without budget)
+ * }>}
+ * @throws {Error} If any of the required payload fields are missing or invalid,
+ *   or if the run is cancelled.
+ */
+async function buildPlan(
+  calendar,
+  payload,
+  {
+    calendarId,
+    busyCalendarIds,
+    slotMinutes,
+    timeZone,
+    budgetMinutes,
+    weeklySchedule,
+    focusBlocks,
+    task,
+  },
+  { signal, onProgress } = {}
+) {
+  const { dateStart, dateEnd, workdayStart, workdayEnd, taskStart, taskEnd } = payload;
+
+  if (!dateStart || !dateEnd) throw new Error(t("errorDatesMissing"));
+  if (Boolean(workdayStart) !== Boolean(workdayEnd)) {
+    throw new Error(t("errorWorkdayIncomplete"));
+  }
+  if (!taskStart || !taskEnd) throw new Error(t("errorTaskRangeMissing"));
+
+  // Horario del popup: reemplaza las horas del horario semanal si viene informado
+  const override = workdayStart ? { start: workdayStart, end: workdayEnd } : null;
+
+  // Loop de fechas (inspirado en tu Python). Se itera sobre fechas de
+  // calendario 'YYYY-MM-DD' en la zona configurada, nunca sobre instantes UTC.
+  if (!isValidDateStr(dateStart) || !isValidDateStr(dateEnd)) {
+    throw new Error(t("errorDateFormat"));
+  }
+
+  if (dateEnd < dateStart) {
+    throw new Error(t("errorDateOrder"));
+  }
+
+  const days = [];
+  let totalSlots = 0;
+  let totalFree = 0;
+  let totalPlanned = 0;
+  let remainingMinutes = budgetMinutes;
+
+  const windowStart = zonedTimeToUtc(dateStart, taskStart, timeZone);
+  const windowEnd = zonedTimeToUtc(dateEnd, taskEnd, timeZone);
+
+  // Las fechas sin hora se interpretan en UTC: la diferencia son días exactos
+  const totalDays = (Date.parse(dateEnd) - Date.parse(dateStart)) / (24 * 60 * 60 * 1000) + 1;
+  const reportDay = (day) =>
+    onProgress?.({
+      stage: "planning",
+      date: day.date,
+      dayIndex: days.length,
+      totalDays,
+      slots: day.slots.length,
+      free: day.freeSlots.length,
+      planned: day.plannedSlots.length,
+      skipped: day.skipped,
+    });
+
+  // Bloques ya creados por la extensión en la ventana de la tarea
+  const existingBlocks = await calendar.listSchedulerEvents({
+    calendarId,
+    timeMin: windowStart,
+    timeMax: windowEnd,
+  });
+
+  // Ocupado de los calendarios .ics importados (turnos, horarios...)
+  const importedBusy = await getImportedBusyPeriods(windowStart, windowEnd, timeZone);
+
+  if (remainingMinutes !== null && task) {
+    const existingMinutes = existingBlocks
+      .filter((block) => block.task === task)
+      .reduce((sum, block) => sum + (block.end - block.start) / (60 * 1000), 0);
+    remainingMinutes = Math.max(0, remainingMinutes - existingMinutes);
+  }
+
+  for (let dateStr = dateStart; dateStr <= dateEnd; dateStr = addDays(dateStr, 1)) {
+    throwIfCancelled(signal);
+    console.log(`Procesando día ${dateStr}...`);
+
+    const day = {
+      date: dateStr,
+      dayStart: "",
+      dayEnd: "",
+      skipped: false,
+      slots: [],
+      busy: [],
+      freeSlots: [],
+      plannedSlots: [],
+      existing: existingBlocks.filter(
+        (block) => getZonedDateStr(block.start, timeZone) === dateStr
+      ),
+    };
+    days.push(day);
+
+    const hours = getWorkingHours(dateStr, weeklySchedule, override);
+
+    if (!hours) {
+      console.log(`Saltando día ${dateStr} porque no es laborable.`);
+      day.skipped = true;
+      day.reason = t("dayReasonDayOff");
+      reportDay(day);
+      continue;
+    }
+
+    let dayStartStr;
+    let dayEndStr;
+
+    const sameDay = dateStart === dateEnd;
+    const isFirst = dateStr === dateStart;
+    const isLast = dateStr === dateEnd;
+
+    if (sameDay) {
+      dayStartStr = maxTimeStr(hours.start, taskStart);
+      dayEndStr = minTimeStr(hours.end, taskEnd);
+    } else if (isFirst) {
+      dayStartStr = maxTimeStr(hours.start, taskStart);
+      dayEndStr = hours.end;
+    } else if (isLast) {
+      dayStartStr = hours.start;
+      dayEndStr = minTimeStr(hours.end, taskEnd);
+    } else {
+      dayStartStr = hours.start;
+      dayEndStr = hours.end;
+    }
+
+    day.dayStart = dayStartStr;
+    day.dayEnd = dayEndStr;
+
+    // Presupuesto cubierto: no hace falta consultar más días
+    if (remainingMinutes !== null && remainingMinutes <= 0) {
+      day.skipped = true;
+      day.reason = t("dayReasonBudgetCovered");
+      reportDay(day);
+      continue;
+    }
+
+    // Validar rango horario del día
+    if (!isValidRange(dayStartStr, dayEndStr)) {
+      console.log(
+        `Saltando día ${dateStr} porque el rango calculado ${dayStartStr}-${dayEndStr} no es válido.`
+      );
+      day.skipped = true;
+      day.reason = t("dayReasonInvalidRange", [dayStartStr, dayEndStr]);
+      reportDay(day);
+      continue;
+    }
+
+    // Crear slots del día
+    day.slots = createTimeSlots(dateStr, dayStartStr, dayEndStr, slotMinutes, timeZone);
+    totalSlots += day.slots.length;
+
+    // Consultar busy en el calendario (todos los calendarios de conflicto) y sumar
+    // los bloques propios, por si freeBusy no los ve (eventos "disponible"),
+    // y las ocurrencias de los .ics importados que caen en el día
+    const calendarBusy = await calendar.getBusyPeriodsForDay({
+      calendarIds: busyCalendarIds,
+      dateStr,
+      startTimeStr: dayStartStr,
+      endTimeStr: dayEndStr,
+      timeZone,
+    });
+    const dayStartAt = zonedTimeToUtc(dateStr, dayStartStr, timeZone);
+    const dayEndAt = zonedTimeToUtc(dateStr, dayEndStr, timeZone);
+    day.busy = mergeBusyPeriods([
+      ...calendarBusy,
+      ...day.existing,
+      ...importedBusy.filter((period) => period.start < dayEndAt && period.end > dayStartAt),
+    ]);
+
+    // Filtrar slots libres
+    day.freeSlots = filterFreeSlots(day.slots, day.busy);
+    totalFree += day.freeSlots.length;
+
+    // Unir huecos contiguos en bloques de foco (si está activado)
+    const candidates = focusBlocks
+      ? buildFocusBlocks(day.freeSlots, focusBlocks)
+      : day.freeSlots;
+
+    // Asignar según presupuesto (o todos los libres)
+    if (remainingMinutes === null) {
+      day.plannedSlots = candidates;
+    } else {
+      const { allocated, remainingMinutes: left } = allocateBudget(
+        candidates,
+        remainingMinutes,
+        { minMinutes: focusBlocks ? focusBlocks.minMinutes : 0 }
+      );
+      day.plannedSlots = allocated;
+      remainingMinutes = left;
+    }
+    totalPlanned += day.plannedSlots.length;
+
+    console.log(
+      `Bloques generados: ${day.slots.length} | Bloques libres: ${day.freeSlots.length} | Planificados: ${day.plannedSlots.length}`
+    );
+    reportDay(day);
+  }
+
+  return {
+    days,
+    existingBlocks,
+    totalSlots,
+    totalFree,
+    totalPlanned,
+    shortfallMinutes: remainingMinutes === null ? 0 : remainingMinutes,
+  };
+}
+
+/**
+ * Returns the busy periods of every imported .ics calendar within a time
+ * range (recurrences expanded).
+ *
+ * @param {Date} timeMin
+ * @param {Date} timeMax
+ * @param {string} timeZone - Used for all-day events and floating times.
+ * @returns {Promise<Array<{ start: Date; end: Date }>>} Merged busy periods.
+ */
+async function getImportedBusyPeriods(timeMin, timeMax, timeZone) {
+  const calendars = await loadImportedCalendars();
+  return mergeBusyPeriods(
+    calendars.flatMap((calendar) =>
+      expandIcsEvents(calendar.events, { timeMin, timeMax, timeZone })
+    )
+  );
+}
+
+/**
+ * Creates one calendar event per slot.
+ * A slot may carry its own summary/colorId/deadline, overriding eventParams
+ * (used by the multi-task queue).
+ *
+ * Up to EVENT_CREATION_CONCURRENCY events are created at the same time (and
+ * the request layer throttles them further). A slot that still fails after
+ * retries does not stop the others: it is recorded in run.failedSlots with
+ * its error message. Once signal is aborted no new event is started and
+ * run.cancelled is set.
+ *
+ * @param {Object} calendar - Calendar provider (see providers/index.js).
+ * @param {Array<{ start: Date; end: Date; summary?: string; colorId?: string; deadline?: Date; description?: string }>} slots
+ * @param {{
+ *   calendarId: string;
+ *   summary?: string;
+ *   timeZone: string;
+ *   colorId?: string | number;
+ *   deadline?: Date;
+ *   description?: string;   // and the rest of the event template (see parseEventTemplate)
+ * }} eventParams
+ * @param {{ eventIds: string[]; failedSlots: Array<Object>; cancelled?: boolean }} run -
+ *   Receives the ID of each created event as soon as it exists, and each failed slot.
+ * @param {{
+ *   signal?: AbortSignal;
+ *   onProgress?: (progress: Object) => void;
+ *   total?: number;
+ *   checkpoint?: (slot: Object, index: number) => Promise<void>;
+ * }} [options]
+ *   total: slots of the whole run, reported with each progress update.
+ *   checkpoint: awaited after each attempt (created or failed) of a slot,
+ *   with the slot and its index in slots.
+ * @returns {Promise<void>}
+ */
+async function createEventsForSlots(
+  calendar,
+  slots,
+  eventParams,
+  run,
+  { signal, onProgress, total = slots.length, checkpoint } = {}
+) {
+  const queue = slots.map((slot, index) => ({ slot, index }));
+
+  const worker = async () => {
+    while (queue.length) {
+      if (signal?.aborted) {
+        run.cancelled = true;
+        return;
+      }
+
+      const { slot, index } = queue.shift();
+      let error;
+      try {
+        const event = await calendar.createEvent({
+          ...eventParams,
+          start: slot.start,
+          end: slot.end,
+          summary: slot.summary ?? eventParams.summary,
+          colorId: slot.colorId ?? eventParams.colorId,
+          deadline: slot.deadline ?? eventParams.deadline,
+          description: slot.description ?? eventParams.description,
+          runId: run.id,
+        });
+        run.eventIds.push(event.id);
+      } catch (err) {
+        console.error(`No se pudo crear el bloque ${slot.start.toISOString()}:`, err);
+        error = err.message;
+        run.failedSlots.push({
+          start: slot.start.toISOString(),
+          end: slot.end.toISOString(),
+          error,
+        });
+      }
+
+      await checkpoint?.(slot, index);
+      onProgress?.({
+        stage: "creating",
+        created: run.eventIds.length,
+        failed: run.failedSlots.length,
+        total,
+        start: slot.start.toISOString(),
+        error,
+      });
+    }
+  };
+
+  await Promise.all(Array.from({ length: EVENT_CREATION_CONCURRENCY }, worker));
+}
+
+/**
+ * Builds the failure part of the result message (empty if nothing failed),
+ * ending with the last error so the user knows what to fix.
+ *
+ * @param {{ failedSlots: Array<{ error: string }> }} run
+ * @returns {string}
+ */
+function formatFailureMessage(run) {
+  if (!run.failedSlots.length) return "";
+  const lastError = run.failedSlots[run.failedSlots.length - 1].error;
+  return ` ${t("resultFailed", run.failedSlots.length)} ${t("resultLastError", lastError)}`;
+}
+
+/**
+ * Creates the events of a run and stores the run in the history afterwards,
+ * including partially completed runs whose creation step threw.
+ *
+ * While events are being created, a checkpoint (run record, event params and
+ * slots still pending) is kept in storage and updated after every slot, so
+ * resumeInterruptedRuns can finish the run if the service worker is stopped
+ * midway. The checkpoint is removed once the run ends, after the run is in
+ * the history.
+ *
+ * The description template of eventParams is filled for each slot first
+ * (see fillDescription), so resumed runs keep the original block numbers.
+ *
+ * @param {Object} calendar - Calendar provider (see providers/index.js).
+ * @param {{ id: string; eventIds: string[]; failedSlots: Array<Object> }} run
+ * @param {Array<{ start: Date; end: Date; summary?: string; colorId?: string; deadline?: Date }>} slots
+ * @param {Object} eventParams - See createEventsForSlots.
+ * @param {{ signal?: AbortSignal; onProgress?: (progress: Object) => void }} [options]
+ * @returns {Promise<void>}
+ */
+async function executeRun(calendar, run, slots, eventParams, { signal, onProgress } = {}) {
+  slots = fillDescription(slots, eventParams);
+  // Por índice: dos bloques (de tareas distintas) pueden empezar a la misma hora
+  const pending = new Map(slots.map((slot, index) => [index, serializeRunSlot(slot)]));
+  const checkpointState = () => ({
+    run,
+    eventParams: serializeRunSlot(eventParams),
+    pendingSlots: [...pending.values()],
+  });
+
+  await saveActiveRun(checkpointState());
+  try {
+    await createEventsForSlots(calendar, slots, eventParams, run, {
+      signal,
+      onProgress,
+      checkpoint: async (slot, index) => {
+        pending.delete(index);
+        await saveActiveRun(checkpointState());
+      },
+    });
+  } finally {
+    // Las reanudadas se guardan siempre, para que se vea qué pasó con ellas.
+    // Primero el historial: si el worker se detiene entre ambos pasos, la
+    // ejecución se reanuda otra vez (addRun la reemplaza) en lugar de perderse
+    if (run.eventIds.length || run.resumedAt) {
+      await addRun(run);
+    }
+    await deleteActiveRun(run.id);
+  }
+}
+
+/**
+ * Fills the description template of each slot that has none yet.
+ * Placeholders: {task} (block title), {n} (block number within its task,
+ * in chronological order) and {total} (blocks of that task in the run).
+ *
+ * @param {Array<{ start: Date; summary?: string; description?: string }>} slots
+ * @param {{ summary?: string; description?: string }} eventParams
+ * @returns {Array<Object>} New slot objects, with description set when a template exists.
+ */
+function fillDescription(slots, { summary, description }) {
+  if (!description) return slots;
+
+  const byTask = new Map();
+  for (const slot of [...slots].sort((a, b) => a.start - b.start)) {
+    const task = slot.summary ?? summary;
+    if (!byTask.has(task)) byTask.set(task, []);
+    byTask.get(task).push(slot);
+  }
+
+  return slots.map((slot) => {
+    if (slot.description !== undefined) return slot;
+
+    const task = slot.summary ?? summary;
+    const taskSlots = byTask.get(task);
+    const values = { task, n: taskSlots.indexOf(slot) + 1, total: taskSlots.length };
+    return {
+      ...slot,
+      description: description.replace(/\{(task|n|total)\}/g, (_, key) => String(values[key])),
+    };
+  });
+}
+
+/**
+ * Converts a slot (or the event params) into its JSON-safe checkpoint form:
+ * Date fields become ISO strings.
+ *
+ * @param {Object} slot
+ * @returns {Object}
+ */
+function serializeRunSlot(slot) {
+  return Object.fromEntries(
+    Object.entries(slot).map(([key, value]) => [
+      key,
+      value instanceof Date ? value.toISOString() : value,
+    ])
+  );
+}
+
+/**
+ * Reverses serializeRunSlot for the fields that hold dates.
+ *
+ * @param {Object} slot
+ * @returns {Object}
+ */
+function deserializeRunSlot(slot) {
+  const result = { ...slot };
+  for (const key of ["start", "end", "deadline"]) {
+    result[key] = slot[key] ? new Date(slot[key]) : undefined;
+  }
+  return result;
+}
+
+/**
+ * Finishes the runs whose checkpoint survived a service-worker shutdown.
+ * Called every time the worker starts: no run can be in progress then, so
+ * every stored checkpoint belongs to an interrupted run.
+ *
+ * For each run:
+ * - Events the run created right before stopping (their response was lost)
+ *   are found by their runId tag and not created again (matched to the
+ *   pending slots by start time and task).
+ * - Pending slots that already started are reported as failed.
+ * - The remaining slots are created as usual (without login prompts).
+ * If the calendar cannot be read, every pending slot is reported as failed.
+ * Either way the run ends up in the history, marked as resumed or
+ * interrupted.
+ *
+ * @returns {Promise<void>}
+ */
+async function resumeInterruptedRuns() {
+  const checkpoints = await loadActiveRuns();
+
+  for (const { run, eventParams, pendingSlots } of checkpoints) {
+    console.log(`Reanudando la ejecución interrumpida ${run.id} (${pendingSlots.length} bloques pendientes).`);
+    const calendar = createCalendarProvider(run.provider || "google", { interactive: false });
+    const slots = pendingSlots.map(deserializeRunSlot);
+    let remaining;
+
+    try {
+      const created = slots.length
+        ? await calendar.listSchedulerEvents({
+            calendarId: run.calendarId,
+            runId: run.id,
+            timeMin: new Date(Math.min(...slots.map((slot) => slot.start.getTime()))),
+            timeMax: new Date(Math.max(...slots.map((slot) => slot.end.getTime()))),
+          })
+        : [];
+      // Por hora de inicio y tarea: dos bloques de tareas distintas pueden empezar a la vez
+      const slotKey = (start, task) => `${start.getTime()}|${task}`;
+      const createdKeys = new Set();
+      for (const event of created) {
+        if (!run.eventIds.includes(event.id)) run.eventIds.push(event.id);
+        createdKeys.add(slotKey(event.start, event.task));
+      }
+
+      remaining = [];
+      for (const slot of slots.filter(
+        (s) => !createdKeys.has(slotKey(s.start, s.summary ?? eventParams.summary))
+      )) {
+        if (slot.start > new Date()) {
+          remaining.push(slot);
+        } else {
+          run.failedSlots.push({
+            start: slot.start.toISOString(),
+            end: slot.end.toISOString(),
+            error: t("errorResumeSlotStarted"),
+          });
+        }
+      }
+    } catch (err) {
+      console.error(`No se pudo reanudar la ejecución ${run.id}:`, err);
+      for (const slot of slots) {
+        run.failedSlots.push({
+          start: slot.start.toISOString(),
+          end: slot.end.toISOString(),
+          error: t("errorRunInterrupted", err.message),
+        });
+      }
+      run.interruptedAt = new Date().toISOString();
+      await addRun(run);
+      await deleteActiveRun(run.id);
+      continue;
+    }
+
+    run.resumedAt = new Date().toISOString();
+    await executeRun(calendar, run, remaining, deserializeRunSlot(eventParams));
+    console.log(`Ejecución ${run.id} reanudada: ${run.eventIds.length} eventos en total.`);
+  }
+}
+
+/**
+ * Deletes every event created by a previous run and marks the run as undone.
+ *
+ * Deletions that fail (after retries) are reported and their IDs kept in the
+ * run, so the undo can be repeated; the run is only marked as undone when
+ * every event is gone.
+ *
+ * @param {string} runId - ID of the run stored in the history.
+ * @returns {Promise<{ message: string; totalDeleted: number; totalFailed: number }>}
+ * @throws {Error} If the run does not exist or was already undone.
+ */
+async function undoRun(runId) {
+  const run = await getRun(runId);
+  if (!run) throw new Error(t("errorRunNotFound"));
+  if (run.undoneAt) throw new Error(t("errorRunAlreadyUndone"));
+
+  // Las ejecuciones anteriores a los proveedores siempre fueron de Google
+  const calendar = createCalendarProvider(run.provider || "google");
+
+  const results = await Promise.allSettled(
+    run.eventIds.map((eventId) =>
+      calendar.deleteEvent({ calendarId: run.calendarId, eventId })
+    )
+  );
+
+  const totalDeleted = results.filter((r) => r.status === "fulfilled" && r.value).length;
+  const remainingIds = run.eventIds.filter((_, i) => results[i].status === "rejected");
+
+  if (remainingIds.length) {
+    await updateRun(runId, { eventIds: remainingIds });
+    return {
+      message: t("undoPartial", [totalDeleted, remainingIds.length]),
+      totalDeleted,
+      totalFailed: remainingIds.length,
+    };
+  }
+
+  await updateRun(runId, { undoneAt: new Date().toISOString() });
+
+  return {
+    message: t("undoDone", totalDeleted),
+    totalDeleted,
+    totalFailed: 0,
+  };
+}
+
+/**
+ * Builds an iCalendar (.ics) export, either of the events a past run
+ * created (read back from the calendar, so later moves are included) or of
+ * the slots of a dry-run preview.
+ *
+ * Input payload is expected to contain either:
+ * - runId: string                        // run stored in the history
+ * or:
+ * - slots: Array<{ start: string; end: string; summary?: string; colorId?: string }>
+ * - summary?: string                     // default title for the slots
+ * - colorId?: string                     // default color for the slots
+ *
+ * @param {Object} payload
+ * @returns {Promise<{ filename: string; content: string; totalEvents: number }>}
+ * @throws {Error} If the run does not exist or there is nothing to export.
+ */
+async function exportIcs(payload) {
+  const { timeZone } = await loadSchedulerSettings();
+  let events;
+  let name;
+
+  if (payload?.runId) {
+    const run = await getRun(payload.runId);
+    if (!run) throw new Error(t("errorRunNotFound"));
+    if (run.undoneAt) throw new Error(t("errorExportUndoneRun"));
+
+    const calendar = createCalendarProvider(run.provider || "google");
+    const blocks = await calendar.listSchedulerEvents({
+      calendarId: run.calendarId,
+      runId: run.id,
+    });
+    if (!blocks.length) {
+      throw new Error(t("errorExportEventsGone"));
+    }
+
+    events = blocks.map((block) => ({
+      uid: `${block.id}@calendar-scheduler`,
+      summary: block.summary,
+      start: block.start,
+      end: block.end,
+      colorId: block.colorId,
+    }));
+    name = run.payload?.eventName || "cola-de-tareas";
+  } else {
+    events = (payload?.slots || []).map((slot) => {
+      const { start, end } = deserializeSlot(slot);
+      const summary = slot.summary || payload.summary || "";
+      return {
+        // UID derivado del bloque: exportar dos veces la misma vista no duplica
+        uid: `${start.getTime()}-${toFileSlug(summary)}@calendar-scheduler`,
+        summary,
+        start,
+        end,
+        colorId: slot.colorId || payload.colorId,
+      };
+    });
+    name = payload?.summary || "plan";
+  }
+
+  const content = buildIcs(events, { timeZone, calendarName: name });
+  const firstDate = getZonedDateStr(events[0].start, timeZone);
+
+  return {
+    filename: `${toFileSlug(name)}-${firstDate}.ics`,
+    content,
+    totalEvents: events.length,
+  };
+}
+
+/**
+ * Turns a free-text name into a lowercase ASCII slug usable in file names.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function toFileSlug(name) {
+  const slug = String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase();
+  return slug || "plan";
+}
+
+/**
+ * Converts a plan into a JSON-safe structure that can travel through
+ * chrome.runtime messaging (Dates become ISO strings).
+ *
+ * @param {{ days: Array<Object>; totalSlots: number; totalFree: number; totalPlanned: number; shortfallMinutes: number }} plan
+ * @param {string} timeZone - IANA time zone the plan was computed in.
+ * @returns {Object} Serialized plan.
+ */
+function serializePlan(plan, timeZone) {
+  const toIso = ({ start, end, summary, colorId }) => ({
+    start: start.toISOString(),
+    end: end.toISOString(),
+    summary,
+    colorId,
+  });
+
+  return {
+    timeZone,
+    totalSlots: plan.totalSlots,
+    totalFree: plan.totalFree,
+    totalPlanned: plan.totalPlanned,
+    shortfallMinutes: plan.shortfallMinutes,
+    days: plan.days.map((day) => ({
+      date: day.date,
+      dayStart: day.dayStart,
+      dayEnd: day.dayEnd,
+      skipped: day.skipped,
+      reason: day.reason,
+      totalSlots: day.slots.length,
+      totalFree: day.freeSlots.length,
+      existing: day.existing.length,
+      busy: day.busy.map(toIso),
+      slots: day.plannedSlots.map(toIso),
+    })),
+  };
+}
+
+/**
+ * Parses the optional requiredHours field of the payload.
+ *
+ * @param {number | string | undefined} requiredHours
+ * @returns {number | null} Budget in minutes, or null when no budget was given.
+ * @throws {Error} If the value is not a positive number.
+ */
+function parseBudgetMinutes(requiredHours) {
+  if (requiredHours === undefined || requiredHours === null || requiredHours === "") {
+    return null;
+  }
+
+  const hours = Number(requiredHours);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    throw new Error(t("errorRequiredHours"));
+  }
+  return Math.round(hours * 60);
+}
+
+/**
+ * Reads the focus-block settings from a validated config.
+ *
+ * @param {{ blockMode: string; minBlockMinutes: number; maxBlockMinutes: number }} cfg
+ * @returns {{ minMinutes: number; maxMinutes: number } | null}
+ *   Block limits, or null when fixed slots are used.
+ */
+function parseFocusBlockLimits(cfg) {
+  if (cfg.blockMode !== "merge") return null;
+  return { minMinutes: cfg.minBlockMinutes, maxMinutes: cfg.maxBlockMinutes };
+}
+
+/**
+ * Reads the event template (fields copied into every created block) from
+ * a validated config.
+ *
+ * @param {{
+ *   eventDescription: string;
+ *   eventLocation: string;
+ *   eventReminders: string;       // "default" | "none" | "custom"
+ *   eventReminderMinutes: string; // "10, 30" when custom
+ *   eventTransparency: string;    // "opaque" | "transparent"
+ *   eventVisibility: string;      // "default" | "private" | "public"
+ *   eventConference: string;      // "meet" to request a Google Meet link
+ * }} cfg
+ * @returns {{
+ *   description: string;           // may contain {task}, {n} and {total}
+ *   location: string;
+ *   reminders: number[] | null;    // null = calendar default, [] = none
+ *   transparency: "opaque" | "transparent";
+ *   visibility: "default" | "private" | "public";
+ *   conference: boolean;
+ * }}
+ */
+function parseEventTemplate(cfg) {
+  let reminders = null;
+  if (cfg.eventReminders === "none") {
+    reminders = [];
+  } else if (cfg.eventReminders === "custom") {
+    reminders = cfg.eventReminderMinutes
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .map(Number);
+  }
+
+  return {
+    description: cfg.eventDescription,
+    location: cfg.eventLocation,
+    reminders,
+    transparency: cfg.eventTransparency,
+    visibility: cfg.eventVisibility,
+    conference: cfg.eventConference === "meet",
+  };
+}
+
+/**
+ * Builds the part of the result message about blocks that already existed
+ * for the task (empty if there were none).
+ *
+ * @param {{ existingBlocks: Array<{ task: string }> }} plan
+ * @param {string} task
+ * @returns {string}
+ */
+function formatExistingMessage(plan, task) {
+  const count = plan.existingBlocks.filter((block) => block.task === task).length;
+  if (!count) return "";
+  return ` ${t("resultExistingBlocks", [task, count])}`;
+}
+
+/**
+ * Builds the budget part of the result message (empty without budget).
+ *
+ * @param {number | null} budgetMinutes
+ * @param {number} shortfallMinutes
+ * @returns {string}
+ */
+function formatBudgetMessage(budgetMinutes, shortfallMinutes) {
+  if (budgetMinutes === null) return "";
+
+  const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+  const covered = budgetMinutes - shortfallMinutes;
+  let msg = ` ${t("resultBudget", [toHours(covered), toHours(budgetMinutes)])}`;
+  if (shortfallMinutes > 0) {
+    msg += ` ${t("resultShortfall", toHours(shortfallMinutes))}`;
+  }
+  return msg;
+}
+
+/**
+ * Parses a slot received from the popup ({ start, end } as ISO strings).
+ *
+ * @param {{ start: string; end: string }} slot
+ * @returns {{ start: Date; end: Date }}
+ * @throws {Error} If the slot dates are invalid or not increasing.
+ */
+function deserializeSlot(slot) {
+  const start = new Date(slot?.start);
+  const end = new Date(slot?.end);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+    throw new Error(t("errorSelectedSlot"));
+  }
+  return { start, end };
+}
+
 /**
  * Validates that a time range expressed as HH:MM strings is strictly increasing.
  *
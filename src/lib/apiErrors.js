@@ -0,0 +1,53 @@
+// src/lib/apiErrors.js
+/**
+ * API Errors
+ *
+ * Error classes thrown by the calendar API helpers, so an expired session can
+ * be told apart from a missing calendar or an exhausted quota:
+ * - AuthError: the session expired or was revoked (connect again).
+ * - PermissionError: missing OAuth scope or no access to the calendar.
+ * - NotFoundError: the calendar or event does not exist.
+ * - RateLimitError: the quota is still exhausted after the retries.
+ * - ValidationError: the API rejected the request data.
+ *
+ * Messages are localized and say what the user can do. The `code` field
+ * travels with the background responses (errorCode) so the popup can react.
+ */
+
+/** Base class: any other failed API request. */
+export class ApiError extends Error {
+  /** Short identifier sent to the popup as errorCode. */
+  code = "api";
+
+  /**
+   * @param {string} message - Localized, user-facing message.
+   * @param {{ status?: number; reason?: string }} [details]
+   *   HTTP status and the API's error reason (e.g. "rateLimitExceeded").
+   */
+  constructor(message, { status = 0, reason = "" } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+export class AuthError extends ApiError {
+  code = "auth";
+}
+
+export class PermissionError extends ApiError {
+  code = "permission";
+}
+
+export class NotFoundError extends ApiError {
+  code = "notFound";
+}
+
+export class RateLimitError extends ApiError {
+  code = "rateLimit";
+}
+
+export class ValidationError extends ApiError {
+  code = "validation";
+}
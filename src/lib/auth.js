@@ -8,18 +8,26 @@
  * - Exchanging authorization codes for access/refresh tokens.
  * - Refreshing access tokens using the refresh token.
  * - Launching the Google OAuth flow via chrome.identity.
+ * - Revoking the grant at Google when the user signs out.
  *
  * Public API:
  * - isAuthenticated(): checks if there is a valid access token.
- * - getAccessToken(): returns a valid access token (refreshing or re-authing if needed).
- * - startAuthFlow(): forces a full interactive OAuth flow.
+ * - getAccessToken(): returns a valid access token (refreshing or re-authing if needed),
+ *   also after the API rejected the current one (401).
+ * - startAuthFlow(): forces a full interactive OAuth flow (with the account chooser).
+ * - signOut(): revokes the tokens at Google and removes them.
  * - clearTokens(): removes stored tokens.
  */
 import { loadConfig } from "../storage/config.js";
+import { AuthError } from "./apiErrors.js";
+import { t } from "./i18n.js";
 
 const SCOPES = ["https://www.googleapis.com/auth/calendar"];
 const TOKEN_KEY = "googleTokens";
 
+/** Token refresh in progress, shared by concurrent callers. */
+let pendingRefresh = null;
+
 /**
  * Default OAuth credentials fallback.
  * In production, these should be replaced with environment-based or configuration values,
@@ -169,7 +177,7 @@ async function getClientId() {
     return manifestClientId;
   }
 
-  throw new Error("Client ID de Google no configurado.");
+  throw new Error(t("errorClientIdMissing"));
 }
 /**
  * Resolves the OAuth client secret to use.
@@ -194,7 +202,7 @@ async function getClientSecret() {
     return DEFAULT_CLIENT_SECRET;
   }
 
-  throw new Error("Client Secret de Google no configurado.");
+  throw new Error(t("errorClientSecretMissing"));
 }
 
 // -------------------- redirect --------------------
@@ -245,7 +253,7 @@ async function exchangeCodeForTokens({ code, clientId, redirectUri, codeVerifier
   if (!res.ok) {
     const txt = await res.text();
     console.error("Error al intercambiar code por tokens:", txt);
-    throw new Error("No se pudo obtener el token de Google.");
+    throw new Error(t("errorTokenExchange"));
   }
 
   const data = await res.json();
@@ -273,7 +281,7 @@ async function exchangeCodeForTokens({ code, clientId, redirectUri, codeVerifier
  */
 async function refreshAccessToken(tokens, clientId) {
   if (!tokens.refresh_token) {
-    throw new Error("No hay refresh_token disponible. Reautentica con Google.");
+    throw new Error(t("errorNoRefreshToken"));
   }
 
   const clientSecret = await getClientSecret();
@@ -296,7 +304,7 @@ async function refreshAccessToken(tokens, clientId) {
   if (!res.ok) {
     const txt = await res.text();
     console.error("Error al refrescar token:", txt);
-    throw new Error("Error al refrescar el token de Google.");
+    throw new Error(t("errorTokenRefresh"));
   }
 
   const data = await res.json();
@@ -331,33 +339,86 @@ export async function isAuthenticated() {
  *
  * Flow:
  * 1. Load tokens from storage.
- * 2. If still valid, return the current access token.
+ * 2. If still valid (and not the rejected one), return the current access token.
  * 3. If expired but refresh_token is present, attempt to refresh.
- * 4. If refresh fails or there is no refresh_token, run the full auth flow.
+ * 4. If refresh fails or there is no refresh_token, run the full auth flow
+ *    (only when interactive; background jobs such as alarms must not open
+ *    a Google login window on their own).
  *
+ * @param {{ interactive?: boolean; rejectedToken?: string }} [options]
+ *   rejectedToken: access token the API answered 401 to; it is refreshed even
+ *   if it has not expired yet (a token already renewed by another request is
+ *   returned as is).
  * @returns {Promise<string>} Access token string.
+ * @throws {AuthError} If a new login is required and interactive is false.
  */
-export async function getAccessToken() {
+export async function getAccessToken({ interactive = true, rejectedToken } = {}) {
   const clientId = await getClientId();
   let tokens = await loadTokens();
 
-  if (isTokenStillValid(tokens)) {
+  if (isTokenStillValid(tokens) && tokens.access_token !== rejectedToken) {
     return tokens.access_token;
   }
 
   // Intentar refrescar si hay refresh_token
   if (tokens && tokens.refresh_token) {
     try {
-      tokens = await refreshAccessToken(tokens, clientId);
+      if (!pendingRefresh) {
+        pendingRefresh = refreshAccessToken(tokens, clientId).finally(() => {
+          pendingRefresh = null;
+        });
+      }
+      tokens = await pendingRefresh;
       return tokens.access_token;
     } catch (err) {
       console.warn("No se pudo refrescar el token, se requiere nueva autenticación:", err);
     }
   }
+
+  if (!interactive) {
+    throw new AuthError(t("errorSessionExpired"));
+  }
+
   tokens = await startAuthFlowInternal(clientId);
   return tokens.access_token;
 }
 
+/**
+ * Signs out of Google: revokes the grant at Google's revoke endpoint (the
+ * refresh token if there is one, which also invalidates its access tokens)
+ * and removes the stored tokens. The tokens are removed even if the
+ * revocation fails, e.g. because the grant was already revoked or there is
+ * no network.
+ *
+ * @returns {Promise<boolean>} True if Google confirmed the revocation.
+ */
+export async function signOut() {
+  const tokens = await loadTokens();
+  const token = tokens?.refresh_token || tokens?.access_token;
+  let revoked = false;
+
+  if (token) {
+    try {
+      const res = await fetch("https://oauth2.googleapis.com/revoke", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded"
+        },
+        body: new URLSearchParams({ token }).toString()
+      });
+      revoked = res.ok;
+      if (!res.ok) {
+        console.warn("Google no revocó el token:", res.status, await res.text());
+      }
+    } catch (err) {
+      console.warn("No se pudo revocar el token:", err);
+    }
+  }
+
+  await clearTokens();
+  return revoked;
+}
+
 /**
  * Starts the interactive Google OAuth flow.
  * Intended to be called from the popup when the user clicks "Connect with Google".
@@ -397,7 +458,8 @@ async function startAuthFlowInternal(clientId) {
   authUrl.searchParams.set("response_type", "code");
   authUrl.searchParams.set("scope", SCOPES.join(" "));
   authUrl.searchParams.set("access_type", "offline");
-  authUrl.searchParams.set("prompt", "consent"); // forza pedir permisos otra vez p/refreshtoken
+  // Elegir cuenta (para cambiar de cuenta) y forzar permisos otra vez p/refreshtoken
+  authUrl.searchParams.set("prompt", "select_account consent");
   authUrl.searchParams.set("code_challenge", codeChallenge);
   authUrl.searchParams.set("code_challenge_method", "S256");
 
@@ -416,7 +478,7 @@ async function startAuthFlowInternal(clientId) {
           return;
         }
         if (!redirectUrl) {
-          reject(new Error("No se recibió redirectUrl de Google."));
+          reject(new Error(t("errorNoRedirectUrl")));
           return;
         }
         resolve(redirectUrl);
@@ -428,7 +490,7 @@ async function startAuthFlowInternal(clientId) {
   const url = new URL(redirectResponse);
   const code = url.searchParams.get("code");
   if (!code) {
-    throw new Error("No se recibió 'code' en la respuesta de Google.");
+    throw new Error(t("errorNoAuthCode"));
   }
 
   const tokens = await exchangeCodeForTokens({
@@ -0,0 +1,447 @@
+// src/lib/caldavApi.js
+/**
+ * CalDAV Helpers
+ *
+ * This module wraps the CalDAV (RFC 4791) requests used by the CalDAV
+ * provider (providers/caldavProvider.js):
+ * - PROPFIND: to discover the user's calendars (current-user-principal →
+ *   calendar-home-set → calendars that accept VEVENTs).
+ * - REPORT free-busy-query: to read busy time in one request.
+ * - REPORT calendar-query: to read the events of a time range, as fallback
+ *   for servers without free-busy-query and to find our own blocks.
+ * - GET / PUT / DELETE: to read, write and remove single events (.ics).
+ *
+ * Every function expects an account { serverUrl, username, password } and
+ * authenticates with HTTP Basic. Requests go through the shared layer in
+ * http.js, which throttles concurrency and retries transient failures.
+ *
+ * Service workers have no DOMParser, so multistatus responses are read with
+ * a minimal XML parser that only keeps element names (without namespace
+ * prefix), their text and their children.
+ */
+import { requestWithRetry } from "./http.js";
+import { t } from "./i18n.js";
+
+const DAV_NS = 'xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"';
+
+// -------------------- capa de requests --------------------
+
+/**
+ * Encodes "user:password" for the Basic Authorization header (UTF-8 safe).
+ *
+ * @param {string} username
+ * @param {string} password
+ * @returns {string}
+ */
+function basicAuth(username, password) {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return "Basic " + btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Sends a CalDAV request through the shared retry/throttle layer.
+ *
+ * @param {{ username: string; password: string }} account
+ * @param {string} url - Absolute URL.
+ * @param {{ method?: string; depth?: string; body?: string; contentType?: string; headers?: Object }} [options]
+ * @returns {Promise<Response>} The final response, ok or not.
+ * @throws {Error} If the network keeps failing after every attempt.
+ */
+function davRequest(account, url, { method = "GET", depth, body, contentType, headers = {} } = {}) {
+  const allHeaders = { ...headers, Authorization: basicAuth(account.username, account.password) };
+  if (depth !== undefined) allHeaders.Depth = depth;
+  if (body !== undefined) {
+    allHeaders["Content-Type"] = contentType || 'application/xml; charset="utf-8"';
+  }
+
+  return requestWithRetry(url, { method, headers: allHeaders, body }, { serviceName: t("serviceCaldav") });
+}
+
+/**
+ * Builds the error thrown for an unexpected CalDAV response.
+ *
+ * @param {Response} res
+ * @param {string} action - Message key of what was being done (caldavAction*).
+ * @returns {Promise<Error>}
+ */
+async function davError(res, action) {
+  console.error(`Error CalDAV (${action}):`, res.status, await res.text());
+  if (res.status === 401 || res.status === 403) {
+    return new Error(t("errorCaldavCredentials"));
+  }
+  return new Error(t("errorCaldavRequest", [t(action), res.status]));
+}
+
+// -------------------- XML mínimo --------------------
+
+/**
+ * Replaces the predefined and numeric XML entities.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+    const lower = entity.toLowerCase();
+    if (lower.startsWith("#x")) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith("#")) return String.fromCodePoint(Number(lower.slice(1)));
+    return { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[lower];
+  });
+}
+
+/**
+ * Parses an XML document into a tree of { name, attributes, text, children }.
+ * Names lose their namespace prefix ("d:href" → "href"); that is enough for
+ * the few DAV/CalDAV elements read here.
+ *
+ * @param {string} xml
+ * @returns {{ name: string; attributes: Object<string, string>; text: string; children: Array<Object> }} Root node.
+ */
+function parseXml(xml) {
+  const root = { name: "#document", attributes: {}, text: "", children: [] };
+  const stack = [root];
+  const tokens =
+    /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+  for (const [, cdata, closeName, openName, rawAttributes, selfClosing, text] of xml.matchAll(tokens)) {
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (text !== undefined) {
+      current.text += decodeXmlEntities(text);
+    } else if (openName) {
+      const attributes = {};
+      for (const [, key, , value1, value2] of (rawAttributes || "").matchAll(
+        /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+      )) {
+        attributes[key.replace(/^.*:/, "")] = decodeXmlEntities(value1 ?? value2);
+      }
+      const node = { name: openName.replace(/^.*:/, ""), attributes, text: "", children: [] };
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (closeName && stack.length > 1) {
+      stack.pop();
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Returns every descendant node with the given name, in document order.
+ *
+ * @param {Object} node
+ * @param {string} name - Local name (no prefix).
+ * @returns {Array<Object>}
+ */
+function findAll(node, name) {
+  const found = [];
+  for (const child of node.children) {
+    if (child.name === name) found.push(child);
+    found.push(...findAll(child, name));
+  }
+  return found;
+}
+
+/**
+ * Returns the first descendant node with the given name, or null.
+ *
+ * @param {Object} node
+ * @param {string} name
+ * @returns {Object | null}
+ */
+function findFirst(node, name) {
+  return findAll(node, name)[0] || null;
+}
+
+/**
+ * Reads the responses of a multistatus document, keeping only the
+ * properties reported with a 2xx status.
+ *
+ * @param {string} xml
+ * @returns {Array<{ href: string; props: Object }>} props is the merged <prop> node.
+ */
+function parseMultistatus(xml) {
+  return findAll(parseXml(xml), "response").map((response) => {
+    const props = { name: "prop", attributes: {}, text: "", children: [] };
+    for (const propstat of findAll(response, "propstat")) {
+      const status = findFirst(propstat, "status")?.text || "";
+      if (status && !/\s2\d\d\s/.test(status)) continue;
+      const prop = findFirst(propstat, "prop");
+      if (prop) props.children.push(...prop.children);
+    }
+    return { href: findFirst(response, "href")?.text.trim() || "", props };
+  });
+}
+
+/**
+ * Text of the <href> inside a property (e.g. current-user-principal).
+ *
+ * @param {Object} props - Merged <prop> node.
+ * @param {string} name - Property name.
+ * @returns {string | null}
+ */
+function hrefProperty(props, name) {
+  const prop = findFirst(props, name);
+  const href = prop && findFirst(prop, "href");
+  return href ? href.text.trim() : null;
+}
+
+// -------------------- utilidades --------------------
+
+/**
+ * Formats a Date as an iCalendar UTC date-time (used by time-range).
+ *
+ * @param {Date} date
+ * @returns {string} e.g. "20251020T130000Z"
+ */
+function toUtcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Resolves an href returned by the server against a base URL.
+ *
+ * @param {string} href
+ * @param {string} base
+ * @returns {string} Absolute URL.
+ */
+function resolveHref(href, base) {
+  return new URL(href, base).href;
+}
+
+// -------------------- descubrimiento --------------------
+
+/**
+ * PROPFIND with Depth 0, returning the single response or null when the URL
+ * does not answer as a DAV resource.
+ *
+ * @param {Object} account
+ * @param {string} url
+ * @param {string} propXml - Inner content of <d:prop>.
+ * @returns {Promise<{ href: string; props: Object } | null>}
+ * @throws {Error} If the server rejects the credentials.
+ */
+async function propfindSelf(account, url, propXml) {
+  const res = await davRequest(account, url, {
+    method: "PROPFIND",
+    depth: "0",
+    body: `<?xml version="1.0" encoding="utf-8"?><d:propfind ${DAV_NS}><d:prop>${propXml}</d:prop></d:propfind>`,
+  });
+  if (res.status === 401 || res.status === 403) throw await davError(res, "caldavActionLogin");
+  if (res.status !== 207) return null;
+  return parseMultistatus(await res.text())[0] || null;
+}
+
+/**
+ * Finds the calendars of the account that can hold events.
+ *
+ * Starts at serverUrl (or its /.well-known/caldav) and follows
+ * current-user-principal and calendar-home-set. If serverUrl already points
+ * to a calendar, that calendar is returned.
+ *
+ * @param {{ serverUrl: string; username: string; password: string }} account
+ * @returns {Promise<Array<{ url: string; name: string; color: string }>>}
+ * @throws {Error} If the server is unreachable, rejects the credentials or has no calendars.
+ */
+export async function discoverCalendars(account) {
+  const baseUrl = new URL(account.serverUrl).href;
+
+  let principalUrl = null;
+  for (const url of [baseUrl, new URL("/.well-known/caldav", baseUrl).href]) {
+    const self = await propfindSelf(account, url, "<d:current-user-principal/><d:resourcetype/>");
+    if (self && findFirst(self.props, "calendar")) {
+      // La URL configurada ya es un calendario
+      const name = findFirst(self.props, "displayname")?.text.trim();
+      return [{ url, name: name || url, color: "" }];
+    }
+    const principal = self && hrefProperty(self.props, "current-user-principal");
+    if (principal) {
+      principalUrl = resolveHref(principal, url);
+      break;
+    }
+  }
+
+  let homeUrl = baseUrl;
+  if (principalUrl) {
+    const principal = await propfindSelf(account, principalUrl, "<c:calendar-home-set/>");
+    const home = principal && hrefProperty(principal.props, "calendar-home-set");
+    if (home) homeUrl = resolveHref(home, principalUrl);
+  }
+
+  const res = await davRequest(account, homeUrl, {
+    method: "PROPFIND",
+    depth: "1",
+    body:
+      `<?xml version="1.0" encoding="utf-8"?><d:propfind ${DAV_NS} xmlns:a="http://apple.com/ns/ical/">` +
+      "<d:prop><d:resourcetype/><d:displayname/><c:supported-calendar-component-set/><a:calendar-color/></d:prop>" +
+      "</d:propfind>",
+  });
+  if (res.status !== 207) throw await davError(res, "caldavActionListCalendars");
+
+  const calendars = parseMultistatus(await res.text())
+    .filter(({ props }) => findFirst(props, "calendar"))
+    .filter(({ props }) => {
+      // Sin supported-calendar-component-set el calendario acepta cualquier componente
+      const components = findAll(props, "comp").map((comp) => (comp.attributes.name || "").toUpperCase());
+      return !components.length || components.includes("VEVENT");
+    })
+    .map(({ href, props }) => {
+      const url = resolveHref(href, homeUrl);
+      return {
+        url,
+        name: findFirst(props, "displayname")?.text.trim() || decodeURIComponent(new URL(url).pathname),
+        color: findFirst(props, "calendar-color")?.text.trim() || "",
+      };
+    });
+
+  if (!calendars.length) {
+    throw new Error(t("errorCaldavNoCalendars"));
+  }
+  return calendars;
+}
+
+// -------------------- lectura --------------------
+
+/**
+ * Time-range filter shared by the REPORT bodies.
+ *
+ * @param {Date} [timeMin]
+ * @param {Date} [timeMax]
+ * @returns {string} A <c:time-range/> element, or "" when unbounded.
+ */
+function timeRangeXml(timeMin, timeMax) {
+  if (!timeMin && !timeMax) return "";
+  const start = timeMin ? ` start="${toUtcStamp(timeMin)}"` : "";
+  const end = timeMax ? ` end="${toUtcStamp(timeMax)}"` : "";
+  return `<c:time-range${start}${end}/>`;
+}
+
+/**
+ * Asks a calendar for its busy time with a free-busy-query REPORT.
+ *
+ * @param {Object} account
+ * @param {string} calendarUrl
+ * @param {Date} timeMin
+ * @param {Date} timeMax
+ * @returns {Promise<string | null>} The VFREEBUSY iCalendar text, or null if
+ *   the server does not support the report (the caller falls back to
+ *   calendarQuery).
+ * @throws {Error} If the server rejects the credentials.
+ */
+export async function freeBusyQuery(account, calendarUrl, timeMin, timeMax) {
+  const res = await davRequest(account, calendarUrl, {
+    method: "REPORT",
+    depth: "1",
+    body:
+      `<?xml version="1.0" encoding="utf-8"?><c:free-busy-query ${DAV_NS}>` +
+      timeRangeXml(timeMin, timeMax) +
+      "</c:free-busy-query>",
+  });
+  if (res.status === 401) throw await davError(res, "caldavActionReadFreeBusy");
+  if (!res.ok) return null;
+
+  const text = await res.text();
+  return text.includes("BEGIN:VCALENDAR") ? text : null;
+}
+
+/**
+ * Lists the event resources of a calendar with a calendar-query REPORT.
+ * With a range, only events (or recurrences) overlapping it are returned.
+ *
+ * @param {Object} account
+ * @param {string} calendarUrl
+ * @param {{ timeMin?: Date; timeMax?: Date }} [range]
+ * @returns {Promise<Array<{ href: string; etag: string; data: string }>>}
+ *   href is absolute; data is the iCalendar text of the resource.
+ * @throws {Error} If the report fails.
+ */
+export async function calendarQuery(account, calendarUrl, { timeMin, timeMax } = {}) {
+  const res = await davRequest(account, calendarUrl, {
+    method: "REPORT",
+    depth: "1",
+    body:
+      `<?xml version="1.0" encoding="utf-8"?><c:calendar-query ${DAV_NS}>` +
+      "<d:prop><d:getetag/><c:calendar-data/></d:prop>" +
+      '<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">' +
+      timeRangeXml(timeMin, timeMax) +
+      "</c:comp-filter></c:comp-filter></c:filter></c:calendar-query>",
+  });
+  if (res.status !== 207) throw await davError(res, "caldavActionReadEvents");
+
+  return parseMultistatus(await res.text())
+    .map(({ href, props }) => ({
+      href: resolveHref(href, calendarUrl),
+      etag: findFirst(props, "getetag")?.text.trim() || "",
+      data: findFirst(props, "calendar-data")?.text || "",
+    }))
+    .filter((resource) => resource.data);
+}
+
+/**
+ * Reads a single event resource.
+ *
+ * @param {Object} account
+ * @param {string} href - Absolute URL of the .ics resource.
+ * @returns {Promise<{ etag: string; data: string } | null>} null if it no longer exists.
+ * @throws {Error} If the request fails.
+ */
+export async function getEventResource(account, href) {
+  const res = await davRequest(account, href);
+  if (res.status === 404 || res.status === 410) return null;
+  if (!res.ok) throw await davError(res, "caldavActionReadEvent");
+  return { etag: res.headers.get("ETag") || "", data: await res.text() };
+}
+
+// -------------------- escritura --------------------
+
+/**
+ * Writes an event resource (.ics).
+ *
+ * @param {Object} account
+ * @param {string} href - Absolute URL of the resource.
+ * @param {string} data - iCalendar text (one VEVENT, no METHOD).
+ * @param {{ etag?: string; create?: boolean }} [options]
+ *   etag: the PUT only succeeds if the resource is unchanged (If-Match).
+ *   create: the PUT only succeeds if the resource does not exist yet
+ *   (If-None-Match). With neither, the resource is overwritten.
+ * @returns {Promise<boolean>} True if written; false if create was set and
+ *   the resource already existed (e.g. a retried PUT whose first attempt was
+ *   stored), so the caller can check what is there.
+ * @throws {Error} If the server rejects the write (including 412 conflicts
+ *   on an etag).
+ */
+export async function putEventResource(account, href, data, { etag, create = false } = {}) {
+  const headers = {};
+  if (etag) headers["If-Match"] = etag;
+  else if (create) headers["If-None-Match"] = "*";
+
+  const res = await davRequest(account, href, {
+    method: "PUT",
+    body: data,
+    contentType: "text/calendar; charset=utf-8",
+    headers,
+  });
+  if (res.status === 412) {
+    if (create) return false;
+    throw new Error(t("errorCaldavConflict"));
+  }
+  if (!res.ok) throw await davError(res, "caldavActionSaveEvent");
+  return true;
+}
+
+/**
+ * Deletes an event resource.
+ *
+ * @param {Object} account
+ * @param {string} href - Absolute URL of the resource.
+ * @returns {Promise<boolean>} True if deleted, false if it no longer existed.
+ * @throws {Error} If the request fails for another reason.
+ */
+export async function deleteEventResource(account, href) {
+  const res = await davRequest(account, href, { method: "DELETE" });
+  if (res.status === 404 || res.status === 410) return false;
+  if (!res.ok) throw await davError(res, "caldavActionDeleteEvent");
+  return true;
+}
@@ -3,24 +3,173 @@
  * Calendar API Helpers
  *
  * This module wraps Google Calendar v3 endpoints used by the scheduler:
- * - freeBusy: to retrieve busy periods for a specific calendar and time range.
+ * - freeBusy: to retrieve busy periods for one or more calendars and a time range.
  * - events.insert: to create events for individual free slots.
+ * - events.get: to recover an event a retried insert had already stored.
+ * - events.delete: to remove events created by a previous run (undo).
+ * - events.list: to find blocks previously created by the extension and the
+ *   other events that occupy time (reflow).
+ * - events.patch: to move an existing block to another time (reflow).
+ * - calendarList.list: to offer the writable calendars in the options page.
+ * - colors.get: to show the real event color palette.
+ * - calendars.get (primary): to show which Google account is connected.
  *
  * All functions expect a valid OAuth access token with the appropriate scope.
+ * Requests go through the shared layer in http.js, which throttles
+ * concurrency and retries transient failures with backoff. A token rejected
+ * with 401 is renewed once (see getAccessToken) and the request repeated.
+ * Failures are thrown as the typed errors of apiErrors.js, built from the
+ * Google error JSON.
  */
+import {
+  ApiError,
+  AuthError,
+  NotFoundError,
+  PermissionError,
+  RateLimitError,
+  ValidationError,
+} from "./apiErrors.js";
+import { getAccessToken } from "./auth.js";
+import { requestWithRetry } from "./http.js";
+import { t } from "./i18n.js";
+import { mergeBusyPeriods } from "./scheduler.js";
+import { toZonedISOString, zonedTimeToUtc } from "./timezone.js";
+
+// -------------------- capa de requests --------------------
+
+/**
+ * Last access token renewed after a 401 and the token it replaced, so the
+ * callers that still hold the old token do not hit the 401 again. Only the
+ * last pair is kept: a caller with an older token gets one more 401 and
+ * then the current token from getAccessToken.
+ * @type {{ rejected: string; renewed: string } | null}
+ */
+let lastRenewal = null;
+
+/** Google error reasons that mean the quota is exhausted. */
+const RATE_LIMIT_REASONS = new Set([
+  "rateLimitExceeded",
+  "userRateLimitExceeded",
+  "quotaExceeded",
+  "dailyLimitExceeded",
+]);
+
+/** Google error reasons that mean the token lacks the Calendar scope. */
+const SCOPE_REASONS = new Set(["insufficientPermissions", "ACCESS_TOKEN_SCOPE_INSUFFICIENT"]);
 
 /**
- * Retrieves busy periods for a given calendar on a specific day and time range,
- * using the Google Calendar freeBusy endpoint.
+ * Sends a Calendar API request through the shared retry/throttle layer
+ * (see http.js), authenticated with the OAuth access token.
  *
- * Note:
- * - The current implementation builds timeMin/timeMax with a fixed -05:00 offset,
- *   which matches "America/Bogota" in many cases. Adjust if you need more dynamic
- *   time zone handling.
+ * Besides 429/5xx, Google reports some quota errors as 403 with a
+ * rateLimitExceeded / userRateLimitExceeded reason; those are retried too.
+ * On 401 the token is renewed without user interaction and the request is
+ * sent once more; if it cannot be renewed the 401 response is returned.
+ *
+ * @param {string} accessToken - Google OAuth access token.
+ * @param {string} url - Full endpoint URL.
+ * @param {{ method?: string; body?: Object }} [options]
+ * @returns {Promise<Response>} The final response, ok or not.
+ * @throws {Error} If the network keeps failing after every attempt.
+ */
+async function calendarRequest(accessToken, url, { method = "GET", body } = {}) {
+  const send = (token) => {
+    const headers = { Authorization: `Bearer ${token}` };
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+
+    return requestWithRetry(
+      url,
+      { method, headers, body: body !== undefined ? JSON.stringify(body) : undefined },
+      {
+        serviceName: t("serviceGoogleCalendar"),
+        isRetryable: async (res) =>
+          res.status === 403 &&
+          /rateLimitExceeded|userRateLimitExceeded/.test(await res.clone().text()),
+      }
+    );
+  };
+
+  const token = accessToken === lastRenewal?.rejected ? lastRenewal.renewed : accessToken;
+
+  const res = await send(token);
+  if (res.status !== 401) return res;
+
+  // Token caducado o revocado antes de su expiración: renovar una sola vez
+  let renewed;
+  try {
+    renewed = await getAccessToken({ interactive: false, rejectedToken: token });
+  } catch (err) {
+    console.warn("No se pudo renovar el token de Google:", err);
+    return res;
+  }
+  if (renewed === token) return res;
+
+  lastRenewal = { rejected: token, renewed };
+  console.log(`Token de Google renovado tras 401 en ${method} ${url}`);
+  return send(renewed);
+}
+
+/**
+ * Builds the typed error for a failed Calendar API response, from the
+ * Google error JSON ({ error: { code, message, status, errors: [{ reason }] } }).
+ *
+ * @param {Response} res - Failed response.
+ * @param {string} action - Message key of what was being done (googleAction*).
+ * @param {string | Array<string>} [substitutions] - Values for the action message.
+ * @returns {Promise<ApiError>}
+ */
+async function googleError(res, action, substitutions) {
+  const text = await res.text();
+  console.error(`Error de Google Calendar (${action}):`, res.status, text);
+
+  let error = {};
+  try {
+    error = JSON.parse(text).error || {};
+  } catch {
+    // Respuesta sin JSON (proxy, página de error): se clasifica solo por estado
+  }
+  const reasons = [
+    ...(error.errors || []).map((e) => e.reason),
+    ...(error.details || []).map((d) => d.reason),
+  ].filter(Boolean);
+  const details = { status: res.status, reason: reasons[0] || error.status || "" };
+  const what = t(action, substitutions);
+
+  if (res.status === 401) {
+    return new AuthError(t("errorGoogleAuth", what), details);
+  }
+  if (res.status === 429 || reasons.some((reason) => RATE_LIMIT_REASONS.has(reason))) {
+    return new RateLimitError(t("errorGoogleRateLimit", what), details);
+  }
+  if (res.status === 403) {
+    const scope = reasons.some((reason) => SCOPE_REASONS.has(reason));
+    return new PermissionError(t(scope ? "errorGoogleScope" : "errorGoogleForbidden", what), details);
+  }
+  if (res.status === 404 || res.status === 410) {
+    return new NotFoundError(t("errorGoogleNotFound", what), details);
+  }
+  if (res.status === 400) {
+    return new ValidationError(
+      t("errorGoogleInvalid", [what, error.message || error.errors?.[0]?.message || ""]),
+      details
+    );
+  }
+  return new ApiError(t("errorGoogleRequest", [what, res.status]), details);
+}
+
+// -------------------- endpoints --------------------
+
+/**
+ * Retrieves busy periods for one or more calendars on a specific day and time
+ * range, using the Google Calendar freeBusy endpoint.
+ *
+ * The start/end times are wall-clock times in timeZone; the UTC offset sent
+ * in timeMin/timeMax is derived for that date, so DST is respected.
+ * Busy periods of every calendar are merged into a single, sorted list.
  *
  * @param {string} accessToken - Google OAuth access token.
  * @param {{
- *   calendarId: string;
+ *   calendarIds: string[]; // calendars to check for conflicts
  *   dateStr: string;       // "YYYY-MM-DD"
  *   startTimeStr: string;  // "HH:MM"
  *   endTimeStr: string;    // "HH:MM"
@@ -28,50 +177,75 @@
  * }} params
  * @returns {Promise<Array<{ start: Date; end: Date }>>}
  *   An array of busy intervals as Date objects.
- * @throws {Error} If the freeBusy API request fails.
+ * @throws {ApiError} If the freeBusy API request fails or a calendar cannot be read.
  */
 export async function getBusyPeriodsForDay(
   accessToken,
-  { calendarId, dateStr, startTimeStr, endTimeStr, timeZone }
+  { calendarIds, dateStr, startTimeStr, endTimeStr, timeZone }
 ) {
-  // Aquí asumo zona -05:00 como en tu Python; puedes ajustarlo si necesitas.
-  const timeMin = `${dateStr}T${startTimeStr}:00-05:00`;
-  const timeMax = `${dateStr}T${endTimeStr}:00-05:00`;
+  const timeMin = toZonedISOString(zonedTimeToUtc(dateStr, startTimeStr, timeZone), timeZone);
+  const timeMax = toZonedISOString(zonedTimeToUtc(dateStr, endTimeStr, timeZone), timeZone);
 
   const body = {
     timeMin,
     timeMax,
     timeZone,
-    items: [{ id: calendarId }],
+    items: calendarIds.map((id) => ({ id })),
   };
 
-  const res = await fetch("https://www.googleapis.com/calendar/v3/freeBusy", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(body),
-  });
+  const res = await calendarRequest(
+    accessToken,
+    "https://www.googleapis.com/calendar/v3/freeBusy",
+    { method: "POST", body }
+  );
 
-  if (!res.ok) {
-    const txt = await res.text();
-    console.error("Error en freeBusy:", txt);
-    throw new Error("Error al consultar la disponibilidad en Google Calendar.");
-  }
+  if (!res.ok) throw await googleError(res, "googleActionFreeBusy");
 
   const data = await res.json();
-  const cal = data.calendars?.[calendarId];
-  const busy = cal?.busy || [];
+  const busy = [];
+
+  for (const calendarId of calendarIds) {
+    const cal = data.calendars?.[calendarId];
+
+    // freeBusy no falla globalmente si un calendario no existe: lo reporta aquí
+    if (!cal || cal.errors?.length) {
+      const reason = cal?.errors?.[0]?.reason || "notFound";
+      console.error(`Error en freeBusy para ${calendarId}:`, cal?.errors);
+      if (reason === "notFound") {
+        throw new NotFoundError(t("errorGoogleCalendarNotFound", calendarId), { status: 404, reason });
+      }
+      throw new ApiError(t("errorGoogleCalendarUnreadable", [calendarId, reason]), { reason });
+    }
+
+    for (const b of cal.busy || []) {
+      busy.push({ start: new Date(b.start), end: new Date(b.end) });
+    }
+  }
 
-  return busy.map((b) => ({
-    start: new Date(b.start),
-    end: new Date(b.end),
-  }));
+  return mergeBusyPeriods(busy);
 }
+/**
+ * Private extended property that marks events created by this extension.
+ * Its value is always "1"; "task", "runId" and "deadline" are stored next to it.
+ */
+export const EXTENSION_MARKER_KEY = "calendarScheduler";
+
 /**
  * Creates a single event in Google Calendar for a given time slot.
  *
+ * Every event is stamped with extendedProperties.private metadata
+ * (extension marker, task name, run ID and task deadline) so later runs can
+ * recognize the blocks they already created, and reflow knows how far a
+ * block may be moved.
+ *
+ * The optional template fields (description, location, reminders,
+ * transparency, visibility, conference) are passed through to events.insert;
+ * a Google Meet link is requested with conferenceDataVersion=1.
+ *
+ * The event ID is generated here, so a retried insert whose first attempt
+ * did reach Google (timeout, 5xx) gets a 409 instead of creating a duplicate;
+ * the event stored by that first attempt is then returned.
+ *
  * @param {string} accessToken - Google OAuth access token.
  * @param {{
  *   calendarId: string;
@@ -80,16 +254,41 @@ export async function getBusyPeriodsForDay(
  *   end: Date;
  *   timeZone: string;
  *   colorId?: string | number;
+ *   runId?: string;
+ *   deadline?: Date;       // latest end the block may be moved to
+ *   description?: string;
+ *   location?: string;
+ *   reminders?: number[] | null; // minutes before; [] = none, null = calendar default
+ *   transparency?: "opaque" | "transparent";
+ *   visibility?: "default" | "private" | "public";
+ *   conference?: boolean;  // create a Google Meet link
  * }} params
  * @returns {Promise<any>} The created event object as returned by Google Calendar.
- * @throws {Error} If the event creation API request fails.
+ * @throws {ApiError} If the event creation API request fails.
  */
 // Crea un evento en Calendar para un slot
 export async function createEvent(
   accessToken,
-  { calendarId, summary, start, end, timeZone, colorId }
+  {
+    calendarId,
+    summary,
+    start,
+    end,
+    timeZone,
+    colorId,
+    runId,
+    deadline,
+    description,
+    location,
+    reminders,
+    transparency,
+    visibility,
+    conference,
+  }
 ) {
   const body = {
+    // base32hex (0-9, a-v): un UUID sin guiones es válido
+    id: crypto.randomUUID().replace(/-/g, ""),
     summary,
     start: {
       dateTime: start.toISOString(),
@@ -99,34 +298,345 @@ export async function createEvent(
       dateTime: end.toISOString(),
       timeZone,
     },
+    extendedProperties: {
+      private: {
+        [EXTENSION_MARKER_KEY]: "1",
+        task: summary,
+        runId: runId || "",
+        deadline: deadline ? deadline.toISOString() : "",
+      },
+    },
   };
 
   if (colorId) {
     body.colorId = String(colorId);
   }
+  if (description) body.description = description;
+  if (location) body.location = location;
+  if (Array.isArray(reminders)) {
+    body.reminders = {
+      useDefault: false,
+      overrides: reminders.map((minutes) => ({ method: "popup", minutes })),
+    };
+  }
+  if (transparency === "transparent") body.transparency = "transparent";
+  if (visibility && visibility !== "default") body.visibility = visibility;
+  if (conference) {
+    body.conferenceData = {
+      createRequest: {
+        requestId: crypto.randomUUID(),
+        conferenceSolutionKey: { type: "hangoutsMeet" },
+      },
+    };
+  }
 
-  const url = `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(
-    calendarId
-  )}/events`;
+  const url =
+    `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events` +
+    (conference ? "?conferenceDataVersion=1" : "");
 
-  const res = await fetch(url, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(body),
-  });
+  let res = await calendarRequest(accessToken, url, { method: "POST", body });
 
-  if (!res.ok) {
-    const txt = await res.text();
-    console.error("Error al crear evento:", txt);
-    throw new Error("Error al crear un evento en Google Calendar.");
+  if (res.status === 409) {
+    // Un intento anterior ya lo creó: devolver ese evento en lugar de duplicarlo
+    console.warn(`El evento ${body.id} ya existía (reintento); se reutiliza.`);
+    res = await calendarRequest(
+      accessToken,
+      `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(
+        calendarId
+      )}/events/${encodeURIComponent(body.id)}`
+    );
   }
 
+  if (!res.ok) throw await googleError(res, "googleActionCreateEvent");
+
   const event = await res.json();
   console.log(
-    `Evento creado ${start.toISOString()} - ${end.toISOString()}: ${event.htmlLink}`
+    `Evento creado ${start.toISOString()} - ${end.toISOString()}: ${event.htmlLink}` +
+      (event.hangoutLink ? ` (Meet: ${event.hangoutLink})` : "")
   );
   return event;
 }
+
+/**
+ * Deletes a single event from Google Calendar.
+ *
+ * Events that no longer exist (404 / 410) are treated as already deleted,
+ * so undoing a run is safe to repeat.
+ *
+ * @param {string} accessToken - Google OAuth access token.
+ * @param {{ calendarId: string; eventId: string }} params
+ * @returns {Promise<boolean>} True if the event was deleted, false if it was already gone.
+ * @throws {ApiError} If the deletion API request fails.
+ */
+export async function deleteEvent(accessToken, { calendarId, eventId }) {
+  const url = `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(
+    calendarId
+  )}/events/${encodeURIComponent(eventId)}`;
+
+  const res = await calendarRequest(accessToken, url, { method: "DELETE" });
+
+  if (res.status === 404 || res.status === 410) {
+    console.log(`Evento ${eventId} ya no existe.`);
+    return false;
+  }
+
+  if (!res.ok) throw await googleError(res, "googleActionDeleteEvent");
+
+  console.log(`Evento eliminado: ${eventId}`);
+  return true;
+}
+
+/**
+ * Moves an existing event to a new time range (events.patch), keeping the
+ * rest of its fields.
+ *
+ * @param {string} accessToken - Google OAuth access token.
+ * @param {{ calendarId: string; eventId: string; start: Date; end: Date; timeZone: string }} params
+ * @returns {Promise<any>} The updated event object as returned by Google Calendar.
+ * @throws {ApiError} If the patch API request fails.
+ */
+export async function moveEvent(accessToken, { calendarId, eventId, start, end, timeZone }) {
+  const url = `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(
+    calendarId
+  )}/events/${encodeURIComponent(eventId)}`;
+
+  const body = {
+    start: { dateTime: start.toISOString(), timeZone },
+    end: { dateTime: end.toISOString(), timeZone },
+  };
+
+  const res = await calendarRequest(accessToken, url, { method: "PATCH", body });
+
+  if (!res.ok) throw await googleError(res, "googleActionMoveEvent");
+
+  console.log(`Evento ${eventId} movido a ${start.toISOString()} - ${end.toISOString()}`);
+  return res.json();
+}
+
+/**
+ * Fetches every page of events.list for a calendar, with recurring events
+ * expanded into single instances.
+ *
+ * @param {string} accessToken - Google OAuth access token.
+ * @param {string} calendarId
+ * @param {URLSearchParams} params - Extra query parameters (timeMin, timeMax, filters).
+ * @returns {Promise<Object[]>} Raw event resources.
+ * @throws {ApiError} If a request fails.
+ */
+async function listAllEvents(accessToken, calendarId, params) {
+  const baseUrl = `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(
+    calendarId
+  )}/events`;
+
+  params.set("singleEvents", "true");
+  params.set("orderBy", "startTime");
+  params.set("maxResults", "250");
+
+  const items = [];
+  let pageToken;
+
+  do {
+    if (pageToken) params.set("pageToken", pageToken);
+
+    const res = await calendarRequest(accessToken, `${baseUrl}?${params}`);
+
+    if (!res.ok) throw await googleError(res, "googleActionListEvents", calendarId);
+
+    const data = await res.json();
+    items.push(...(data.items || []));
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return items;
+}
+
+/**
+ * Lists the events created by this extension in a time range, optionally
+ * restricted to a single task or run. Recurring events are expanded and every
+ * result page is fetched.
+ *
+ * @param {string} accessToken - Google OAuth access token.
+ * @param {{
+ *   calendarId: string;
+ *   timeMin?: Date;        // no lower bound if omitted
+ *   timeMax?: Date;        // no upper bound if omitted
+ *   task?: string;         // only blocks of this task (event name)
+ *   runId?: string;        // only blocks created by this run
+ * }} params
+ * @returns {Promise<Array<{
+ *   id: string;
+ *   summary: string;
+ *   start: Date;
+ *   end: Date;
+ *   task: string;
+ *   runId: string;
+ *   deadline: Date | null;
+ *   colorId: string;
+ * }>>}
+ *   Timed events sorted by start (all-day events are ignored).
+ * @throws {ApiError} If the events.list API request fails.
+ */
+export async function listSchedulerEvents(
+  accessToken,
+  { calendarId, timeMin, timeMax, task, runId }
+) {
+  const params = new URLSearchParams();
+  if (timeMin) params.set("timeMin", timeMin.toISOString());
+  if (timeMax) params.set("timeMax", timeMax.toISOString());
+  params.append("privateExtendedProperty", `${EXTENSION_MARKER_KEY}=1`);
+  if (task) params.append("privateExtendedProperty", `task=${task}`);
+  if (runId) params.append("privateExtendedProperty", `runId=${runId}`);
+
+  const items = await listAllEvents(accessToken, calendarId, params);
+
+  return items
+    .filter((item) => item.start?.dateTime && item.end?.dateTime)
+    .map((item) => {
+      const props = item.extendedProperties?.private || {};
+      return {
+        id: item.id,
+        summary: item.summary || "",
+        start: new Date(item.start.dateTime),
+        end: new Date(item.end.dateTime),
+        task: props.task || "",
+        runId: props.runId || "",
+        deadline: props.deadline ? new Date(props.deadline) : null,
+        colorId: item.colorId || "",
+      };
+    });
+}
+
+/**
+ * Returns the busy periods of one or more calendars in a time range,
+ * ignoring the blocks created by this extension.
+ *
+ * Unlike freeBusy, this tells our own blocks apart from the rest, which is
+ * what reflow needs to detect meetings booked on top of them. Transparent
+ * ("free") events and events the user declined are not busy; all-day
+ * events occupy their whole dates in the given time zone.
+ *
+ * @param {string} accessToken - Google OAuth access token.
+ * @param {{ calendarIds: string[]; timeMin: Date; timeMax: Date; timeZone: string }} params
+ * @returns {Promise<Array<{ start: Date; end: Date }>>} Merged busy intervals.
+ * @throws {ApiError} If a calendar cannot be read.
+ */
+export async function getBusyPeriodsExcludingScheduler(
+  accessToken,
+  { calendarIds, timeMin, timeMax, timeZone }
+) {
+  const lists = await Promise.all(
+    calendarIds.map((calendarId) =>
+      listAllEvents(
+        accessToken,
+        calendarId,
+        new URLSearchParams({ timeMin: timeMin.toISOString(), timeMax: timeMax.toISOString() })
+      )
+    )
+  );
+
+  const busy = [];
+  for (const item of lists.flat()) {
+    if (item.status === "cancelled" || item.transparency === "transparent") continue;
+    if (item.extendedProperties?.private?.[EXTENSION_MARKER_KEY] === "1") continue;
+    const self = (item.attendees || []).find((attendee) => attendee.self);
+    if (self?.responseStatus === "declined") continue;
+
+    if (item.start?.dateTime && item.end?.dateTime) {
+      busy.push({ start: new Date(item.start.dateTime), end: new Date(item.end.dateTime) });
+    } else if (item.start?.date && item.end?.date) {
+      busy.push({
+        start: zonedTimeToUtc(item.start.date, "00:00", timeZone),
+        end: zonedTimeToUtc(item.end.date, "00:00", timeZone),
+      });
+    }
+  }
+
+  return mergeBusyPeriods(busy);
+}
+
+/**
+ * Lists the calendars of the user's calendar list that events can be
+ * written to (owner or writer access). Every result page is fetched.
+ *
+ * @param {string} accessToken - Google OAuth access token.
+ * @returns {Promise<Array<{
+ *   id: string;
+ *   summary: string;
+ *   primary: boolean;
+ *   accessRole: string;        // "owner" | "writer"
+ *   backgroundColor: string;   // "#rrggbb", "" if unknown
+ * }>>}
+ *   Primary calendar first, then by name.
+ * @throws {ApiError} If the calendarList API request fails.
+ */
+export async function listWritableCalendars(accessToken) {
+  const params = new URLSearchParams({ minAccessRole: "writer", maxResults: "250" });
+  const calendars = [];
+  let pageToken;
+
+  do {
+    if (pageToken) params.set("pageToken", pageToken);
+
+    const res = await calendarRequest(
+      accessToken,
+      `https://www.googleapis.com/calendar/v3/users/me/calendarList?${params}`
+    );
+
+    if (!res.ok) throw await googleError(res, "googleActionListCalendars");
+
+    const data = await res.json();
+    for (const item of data.items || []) {
+      if (item.deleted) continue;
+      calendars.push({
+        id: item.id,
+        summary: item.summaryOverride || item.summary || item.id,
+        primary: Boolean(item.primary),
+        accessRole: item.accessRole,
+        backgroundColor: item.backgroundColor || "",
+      });
+    }
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return calendars.sort(
+    (a, b) => Number(b.primary) - Number(a.primary) || a.summary.localeCompare(b.summary)
+  );
+}
+
+/**
+ * Retrieves the palette of event colors (the colorId values accepted by
+ * events.insert).
+ *
+ * @param {string} accessToken - Google OAuth access token.
+ * @returns {Promise<Object<string, { background: string; foreground: string }>>}
+ *   Colors keyed by colorId.
+ * @throws {ApiError} If the colors API request fails.
+ */
+export async function getEventColors(accessToken) {
+  const res = await calendarRequest(accessToken, "https://www.googleapis.com/calendar/v3/colors");
+
+  if (!res.ok) throw await googleError(res, "googleActionColors");
+
+  const data = await res.json();
+  return data.event || {};
+}
+
+/**
+ * Returns the email address of the connected Google account, which is the
+ * ID of its primary calendar (no extra OAuth scope is needed).
+ *
+ * @param {string} accessToken - Google OAuth access token.
+ * @returns {Promise<string>}
+ * @throws {ApiError} If the calendars API request fails.
+ */
+export async function getAccountEmail(accessToken) {
+  const res = await calendarRequest(
+    accessToken,
+    "https://www.googleapis.com/calendar/v3/calendars/primary"
+  );
+
+  if (!res.ok) throw await googleError(res, "googleActionAccount");
+
+  const data = await res.json();
+  return data.id;
+}
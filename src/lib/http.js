@@ -0,0 +1,139 @@
+// src/lib/http.js
+/**
+ * HTTP Request Layer
+ *
+ * Shared by every calendar backend that talks to a server (Google Calendar
+ * API, CalDAV):
+ * - Limits the number of concurrent requests (MAX_CONCURRENT_REQUESTS). A
+ *   request only holds its slot while it is in flight, not while it waits
+ *   to be retried.
+ * - Retries network errors and transient statuses (429, 5xx) with
+ *   exponential backoff and jitter, honoring Retry-After. Every method is
+ *   retried, so the caller of a request that creates something must handle
+ *   a retry whose first attempt was stored (Google events are inserted with
+ *   a client-generated ID and a 409 is resolved by reading the event; CalDAV
+ *   creates use If-None-Match and a 412 is resolved the same way).
+ * - Returns the final Response (ok or not) so callers keep their own
+ *   error handling; only network errors on the last attempt are thrown.
+ */
+import { t } from "./i18n.js";
+
+/** Maximum number of attempts per request (first try + retries). */
+const MAX_ATTEMPTS = 5;
+/** Base delay for exponential backoff, in milliseconds. */
+const BASE_DELAY_MS = 500;
+/** Upper bound for a single wait between attempts, in milliseconds. */
+const MAX_DELAY_MS = 30 * 1000;
+/** Maximum number of requests in flight at the same time. */
+const MAX_CONCURRENT_REQUESTS = 4;
+
+/** HTTP statuses considered transient (worth retrying). */
+const TRANSIENT_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+let activeRequests = 0;
+/** @type {Array<() => void>} */
+const waitingRequests = [];
+
+/**
+ * Waits until a concurrency slot is available and takes it.
+ *
+ * @returns {Promise<void>}
+ */
+function acquireRequestSlot() {
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+    activeRequests += 1;
+    return Promise.resolve();
+  }
+  // El slot se transfiere directamente desde releaseRequestSlot
+  return new Promise(resolve => waitingRequests.push(resolve));
+}
+
+/**
+ * Releases a concurrency slot, handing it to the next waiting request if any.
+ */
+function releaseRequestSlot() {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests -= 1;
+  }
+}
+
+/**
+ * Resolves after the given number of milliseconds.
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Computes how long to wait before the next attempt.
+ * Honors the Retry-After header (seconds or HTTP date) when present;
+ * otherwise uses exponential backoff with full jitter.
+ *
+ * @param {number} attempt - Number of the attempt that just failed (1-based).
+ * @param {Response | null} res - Failed response, or null on network errors.
+ * @returns {number} Delay in milliseconds.
+ */
+function getRetryDelay(attempt, res) {
+  const retryAfter = res?.headers.get("Retry-After");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds)
+      ? seconds * 1000
+      : new Date(retryAfter).getTime() - Date.now();
+    if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, MAX_DELAY_MS);
+  }
+
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.random() * ceiling;
+}
+
+/**
+ * Sends a request with throttling and retries (see module header).
+ *
+ * @param {string} url - Full URL.
+ * @param {RequestInit} init - fetch options (method, headers, body).
+ * @param {{
+ *   serviceName: string;                           // localized, used in the network error message
+ *   isRetryable?: (res: Response) => Promise<boolean>; // extra transient responses
+ * }} options
+ * @returns {Promise<Response>}
+ * @throws {Error} If the network keeps failing after every attempt.
+ */
+export async function requestWithRetry(url, init, { serviceName, isRetryable }) {
+  const method = init.method || "GET";
+
+  for (let attempt = 1; ; attempt++) {
+    let res = null;
+    await acquireRequestSlot();
+    try {
+      res = await fetch(url, init);
+    } catch (err) {
+      if (attempt >= MAX_ATTEMPTS) {
+        console.error(`Error de red en ${method} ${url}:`, err);
+        throw new Error(t("errorServiceUnreachable", serviceName));
+      }
+    } finally {
+      // Liberar el slot antes de esperar: un reintento no bloquea a las demás peticiones
+      releaseRequestSlot();
+    }
+
+    if (res) {
+      const transient =
+        TRANSIENT_STATUSES.has(res.status) || (isRetryable ? await isRetryable(res) : false);
+      if (res.ok || attempt >= MAX_ATTEMPTS || !transient) return res;
+    }
+
+    const delay = getRetryDelay(attempt, res);
+    console.warn(
+      `Reintentando ${method} ${url} (intento ${attempt + 1}/${MAX_ATTEMPTS}) en ${Math.round(delay)} ms` +
+        (res ? ` tras estado ${res.status}.` : " tras error de red.")
+    );
+    await sleep(delay);
+  }
+}
@@ -0,0 +1,99 @@
+// src/lib/i18n.js
+/**
+ * Localization Helpers
+ *
+ * Every user-facing string lives in the _locales message catalogs (es, en)
+ * and is read through chrome.i18n, which follows the browser language and
+ * falls back to the default locale (es). This module adds:
+ * - t(): a message with its substitutions.
+ * - localizePage(): fills the elements of a page marked with data-i18n*.
+ * - formatDate() / formatDateTime() / formatTime(): dates and times in the
+ *   locale of the catalog in use, so they always match the surrounding text.
+ */
+
+/**
+ * Returns a localized message.
+ *
+ * @param {string} key - Message name in _locales/<locale>/messages.json.
+ * @param {string | number | Array<string | number>} [substitutions] - Values of $1, $2...
+ * @returns {string} The message, or the key itself if it is missing.
+ */
+export function t(key, substitutions) {
+  const values = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+  return chrome.i18n.getMessage(key, values) || key;
+}
+
+/**
+ * BCP 47 tag of the catalog in use (e.g. "es" or "en").
+ *
+ * @returns {string}
+ */
+export function uiLocale() {
+  return chrome.i18n.getMessage("locale") || "es";
+}
+
+/**
+ * Formats a calendar date (YYYY-MM-DD) as a short weekday, day and month.
+ *
+ * @param {string} dateStr
+ * @returns {string}
+ */
+export function formatDate(dateStr) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(uiLocale(), {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+  });
+}
+
+/**
+ * Formats an instant as a short date and time.
+ *
+ * @param {Date | string | number} value - Date, ISO string or epoch milliseconds.
+ * @param {Intl.DateTimeFormatOptions} [options] - Defaults to short date and time.
+ * @returns {string}
+ */
+export function formatDateTime(value, options = { dateStyle: "short", timeStyle: "short" }) {
+  return new Date(value).toLocaleString(uiLocale(), options);
+}
+
+/**
+ * Formats an instant as HH:MM, optionally in a given time zone.
+ *
+ * @param {Date | string | number} value - Date, ISO string or epoch milliseconds.
+ * @param {string} [timeZone] - IANA time zone; the browser's one if omitted.
+ * @returns {string}
+ */
+export function formatTime(value, timeZone) {
+  return new Date(value).toLocaleTimeString(uiLocale(), {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone,
+  });
+}
+
+/**
+ * Localizes a page (or a part of it). Elements declare the message to use:
+ * - data-i18n: text content.
+ * - data-i18n-placeholder / data-i18n-title / data-i18n-tooltip:
+ *   the placeholder, title or data-tooltip attribute.
+ * The lang attribute of the document follows the catalog in use.
+ *
+ * @param {ParentNode} [root]
+ */
+export function localizePage(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll("[data-i18n-title]").forEach((el) => {
+    el.title = t(el.dataset.i18nTitle);
+  });
+  root.querySelectorAll("[data-i18n-tooltip]").forEach((el) => {
+    el.dataset.tooltip = t(el.dataset.i18nTooltip);
+  });
+  document.documentElement.lang = uiLocale();
+}
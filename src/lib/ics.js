@@ -0,0 +1,883 @@
+// src/lib/ics.js
+/**
+ * iCalendar (RFC 5545) Serializer and Parser
+ *
+ * Export: turns planned or created blocks into an .ics file that other
+ * calendar apps (Outlook, Apple Calendar...) can import:
+ * - Each block becomes a VEVENT with a stable UID.
+ * - Start/end are written as wall-clock times with TZID = configured time zone.
+ * - The VTIMEZONE component is derived from the zone's real offsets (via
+ *   Intl), so no time zone database has to be bundled.
+ * - The Google Calendar colorId is exported as a CATEGORIES value.
+ *
+ * Import: reads the VEVENTs of external .ics files (shift rotas, school
+ * timetables...) into a JSON-safe form and expands them, RRULE recurrences
+ * and EXDATEs included, into busy periods for a time range.
+ */
+import {
+  addDays,
+  getTimeZoneOffset,
+  getWeekday,
+  getZonedDateStr,
+  isValidTimeZone,
+  zonedTimeToUtc,
+} from "./timezone.js";
+import { t } from "./i18n.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/** Product identifier written in PRODID. */
+const PRODUCT_ID = "-//Calendar Scheduler//Calendar Scheduler Extension//ES";
+
+/** Google Calendar event colorIds that have a category name (colorName<id>). */
+const CATEGORY_COLOR_IDS = new Set(["1", "2", "3", "4", "5", "6", "7", "8", "9", "10", "11"]);
+
+/**
+ * Category name for a Google Calendar event colorId (same labels as the
+ * popup's color select).
+ *
+ * @param {string | number} [colorId]
+ * @returns {string} "" for unknown colors.
+ */
+function colorCategory(colorId) {
+  return CATEGORY_COLOR_IDS.has(String(colorId)) ? t(`colorName${colorId}`) : "";
+}
+
+/**
+ * Zero-pads a number to two digits.
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * Formats the UTC fields of a timestamp as an iCalendar DATE-TIME
+ * ("YYYYMMDDTHHMMSS"). Callers shift the timestamp first to get local time.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDateTimeFields(ms) {
+  const d = new Date(ms);
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}`
+  );
+}
+
+/**
+ * Formats an instant as wall-clock DATE-TIME in the given time zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatLocalDateTime(date, timeZone) {
+  const offset = getTimeZoneOffset(date, timeZone);
+  return formatDateTimeFields(date.getTime() + offset * MINUTE_MS);
+}
+
+/**
+ * Formats an instant as a UTC DATE-TIME ("...Z").
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatUtcDateTime(date) {
+  return `${formatDateTimeFields(Math.floor(date.getTime() / 1000) * 1000)}Z`;
+}
+
+/**
+ * Formats a UTC offset in minutes as an iCalendar UTC-OFFSET ("-0500").
+ *
+ * @param {number} offsetMinutes
+ * @returns {string}
+ */
+function formatIcsOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+/**
+ * Escapes a TEXT value (backslash, semicolon, comma and newlines).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line so no physical line exceeds 75 octets (UTF-8),
+ * never splitting a multi-byte character.
+ *
+ * @param {string} line
+ * @returns {string} The line, with CRLF + space inserted where folded.
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+      limit = 74; // el espacio inicial de la continuación cuenta
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * Finds the instants where the zone's UTC offset changes between two
+ * instants (DST transitions), to the minute.
+ *
+ * @param {string} timeZone
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @returns {Array<{ at: number; offsetFrom: number; offsetTo: number }>}
+ */
+function findOffsetTransitions(timeZone, fromMs, toMs) {
+  const transitions = [];
+  let prevMs = fromMs;
+  let prevOffset = getTimeZoneOffset(new Date(fromMs), timeZone);
+
+  for (let ms = fromMs + DAY_MS; ms <= toMs; ms += DAY_MS) {
+    const offset = getTimeZoneOffset(new Date(ms), timeZone);
+    if (offset === prevOffset) {
+      prevMs = ms;
+      continue;
+    }
+
+    // Búsqueda binaria del minuto exacto del cambio
+    let lo = prevMs;
+    let hi = ms;
+    while (hi - lo > MINUTE_MS) {
+      const mid = lo + Math.floor((hi - lo) / (2 * MINUTE_MS)) * MINUTE_MS;
+      if (getTimeZoneOffset(new Date(mid), timeZone) === prevOffset) lo = mid;
+      else hi = mid;
+    }
+
+    transitions.push({ at: hi, offsetFrom: prevOffset, offsetTo: offset });
+    prevMs = ms;
+    prevOffset = offset;
+  }
+
+  return transitions;
+}
+
+/**
+ * Builds the VTIMEZONE component for the years covered by the events.
+ *
+ * Every transition in that span is written as its own STANDARD/DAYLIGHT
+ * observance (no RRULE), which RFC 5545 allows and every importer handles.
+ * Zones without DST get a single STANDARD observance.
+ *
+ * @param {string} timeZone
+ * @param {Date} from - Earliest event start.
+ * @param {Date} to - Latest event end.
+ * @returns {string[]} Content lines.
+ */
+function buildVTimeZone(timeZone, from, to) {
+  const spanStart = Date.UTC(from.getUTCFullYear(), 0, 1);
+  const spanEnd = Date.UTC(to.getUTCFullYear() + 1, 0, 1);
+  const initialOffset = getTimeZoneOffset(new Date(spanStart), timeZone);
+  const transitions = findOffsetTransitions(timeZone, spanStart, spanEnd);
+  const standardOffset = Math.min(initialOffset, ...transitions.map((transition) => transition.offsetTo));
+
+  const observance = (offsetFrom, offsetTo, localStart) => {
+    const type = offsetTo > standardOffset ? "DAYLIGHT" : "STANDARD";
+    return [
+      `BEGIN:${type}`,
+      `DTSTART:${localStart}`,
+      `TZOFFSETFROM:${formatIcsOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatIcsOffset(offsetTo)}`,
+      `END:${type}`,
+    ];
+  };
+
+  // Observancia inicial: el offset vigente al comienzo del rango exportado
+  const lines = [
+    "BEGIN:VTIMEZONE",
+    `TZID:${timeZone}`,
+    ...observance(initialOffset, initialOffset, "19700101T000000"),
+  ];
+
+  for (const { at, offsetFrom, offsetTo } of transitions) {
+    // DTSTART se expresa en la hora local previa al cambio
+    lines.push(
+      ...observance(offsetFrom, offsetTo, formatDateTimeFields(at + offsetFrom * MINUTE_MS))
+    );
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/**
+ * Serializes blocks into an iCalendar (.ics) document.
+ *
+ * @param {Array<{
+ *   uid: string;             // globally unique, stable for the same block
+ *   summary: string;
+ *   start: Date;
+ *   end: Date;
+ *   colorId?: string | number; // Google Calendar colorId → CATEGORIES
+ *   description?: string;
+ *   location?: string;
+ *   transparency?: "opaque" | "transparent"; // → TRANSP
+ *   visibility?: "default" | "private" | "public"; // → CLASS
+ *   reminders?: number[] | null; // minutes before → one VALARM each
+ *   properties?: Object<string, string>; // extra TEXT properties (e.g. X-...)
+ * }>} events
+ * @param {{ timeZone: string; calendarName?: string; method?: string | null }} options
+ *   method: METHOD property; null omits it (required for CalDAV resources).
+ * @returns {string} The .ics content, with CRLF line endings.
+ * @throws {Error} If there are no events to export.
+ */
+export function buildIcs(events, { timeZone, calendarName, method = "PUBLISH" }) {
+  if (!events.length) {
+    throw new Error(t("errorNothingToExport"));
+  }
+
+  const earliest = new Date(Math.min(...events.map((e) => e.start.getTime())));
+  const latest = new Date(Math.max(...events.map((e) => e.end.getTime())));
+  const stamp = formatUtcDateTime(new Date());
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+  ];
+  if (method) lines.push(`METHOD:${method}`);
+  lines.push(`X-WR-TIMEZONE:${timeZone}`);
+  if (calendarName) lines.push(`X-WR-CALNAME:${escapeText(calendarName)}`);
+
+  lines.push(...buildVTimeZone(timeZone, earliest, latest));
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${timeZone}:${formatLocalDateTime(event.start, timeZone)}`,
+      `DTEND;TZID=${timeZone}:${formatLocalDateTime(event.end, timeZone)}`,
+      `SUMMARY:${escapeText(event.summary || "")}`
+    );
+    const category = colorCategory(event.colorId);
+    if (category) lines.push(`CATEGORIES:${escapeText(category)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.transparency === "transparent") lines.push("TRANSP:TRANSPARENT");
+    if (event.visibility === "private") lines.push("CLASS:PRIVATE");
+    if (event.visibility === "public") lines.push("CLASS:PUBLIC");
+    for (const [name, value] of Object.entries(event.properties || {})) {
+      lines.push(`${name}:${escapeText(value)}`);
+    }
+    for (const minutes of event.reminders || []) {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeText(event.summary || "")}`,
+        `TRIGGER:-PT${minutes}M`,
+        "END:VALARM"
+      );
+    }
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// -------------------- importación --------------------
+
+/**
+ * Maximum number of recurrence periods (days, weeks, months or years)
+ * walked per event, so rules that never match cannot loop forever.
+ */
+const MAX_PERIODS = 50000;
+
+/** RRULE weekday codes, indexed like Date#getUTCDay() (0 = Sunday). */
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * Splits an .ics document into unfolded content lines.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((line) => line.trim());
+}
+
+/**
+ * Parses a content line into its name, parameters and value.
+ *
+ * @param {string} line - e.g. `DTSTART;TZID=Europe/Madrid:20250101T090000`.
+ * @returns {{ name: string; params: Object<string, string>; value: string }}
+ */
+function parseContentLine(line) {
+  // El valor empieza en el primer ":" que no está dentro de comillas
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  const head = colon === -1 ? line : line.slice(0, colon);
+  const value = colon === -1 ? "" : line.slice(colon + 1);
+  const [name, ...rawParams] = head.split(";");
+
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf("=");
+    if (eq === -1) continue;
+    params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+
+  return { name: name.toUpperCase(), params, value };
+}
+
+/**
+ * Reverses escapeText for TEXT values.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+/**
+ * Parses a DATE or DATE-TIME value into a JSON-safe wall-clock time.
+ *
+ * @param {string} value - "YYYYMMDD", "YYYYMMDDTHHMMSS" or "YYYYMMDDTHHMMSSZ".
+ * @param {Object<string, string>} params - Property parameters (TZID, VALUE).
+ * @returns {{ date: string; time: string | null; utc: boolean; tzid: string | null } | null}
+ *   time is null for all-day values; null if the value is malformed.
+ */
+function parseIcsDateTime(value, params) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi, , z] = match;
+  return {
+    date: `${y}-${mo}-${d}`,
+    time: h === undefined ? null : `${h}:${mi}`,
+    utc: Boolean(z),
+    tzid: params.TZID || null,
+  };
+}
+
+/**
+ * Parses an RRULE value into its parts.
+ *
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250630T000000Z".
+ * @returns {{
+ *   freq: string;
+ *   interval: number;
+ *   count: number | null;
+ *   until: { date: string; time: string | null; utc: boolean } | null;
+ *   byDay: Array<{ weekday: number; ordinal: number }>;
+ *   byMonthDay: number[];
+ *   byMonth: number[];
+ * } | null} null if FREQ is missing or unsupported.
+ */
+function parseRRule(value) {
+  const parts = Object.fromEntries(
+    value.split(";").map((part) => {
+      const [key, val = ""] = part.split("=");
+      return [key.toUpperCase(), val.toUpperCase()];
+    })
+  );
+
+  if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(parts.FREQ)) return null;
+
+  const list = (val) => (val ? val.split(",").filter(Boolean) : []);
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL ? parseIcsDateTime(parts.UNTIL, {}) : null,
+    byDay: list(parts.BYDAY)
+      .map((code) => {
+        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(code);
+        if (!match) return null;
+        return { weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal: parseInt(match[1], 10) || 0 };
+      })
+      .filter(Boolean),
+    byMonthDay: list(parts.BYMONTHDAY).map(Number).filter(Boolean),
+    byMonth: list(parts.BYMONTH).map(Number).filter(Boolean),
+  };
+}
+
+/**
+ * Parses an RFC 5545 DURATION ("PT1H30M", "P1D", "P2W") into days and minutes.
+ *
+ * @param {string} value
+ * @returns {{ days: number; minutes: number } | null}
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+    value.trim()
+  );
+  if (!match) return null;
+
+  const [, sign, w = 0, d = 0, h = 0, m = 0] = match;
+  const factor = sign === "-" ? -1 : 1;
+  return {
+    days: factor * (Number(w) * 7 + Number(d)),
+    minutes: factor * (Number(h) * 60 + Number(m)),
+  };
+}
+
+/**
+ * Parses the VEVENTs of an .ics document into a JSON-safe form that can be
+ * stored and expanded later (see expandIcsEvents).
+ *
+ * Cancelled and transparent ("free") events are dropped, since they never
+ * block time, unless keepFree is set. RRULE parts that are not supported
+ * (e.g. BYSETPOS) are ignored.
+ *
+ * @param {string} text - Content of the .ics file.
+ * @param {{ keepFree?: boolean }} [options]
+ *   keepFree: also return transparent events (e.g. to find our own "free" blocks).
+ * @returns {Array<{
+ *   uid: string;
+ *   summary: string;
+ *   start: { date: string; time: string | null; utc: boolean; tzid: string | null };
+ *   end: Object | null;
+ *   duration: { days: number; minutes: number } | null;
+ *   rrule: Object | null;
+ *   exdates: Array<Object>;
+ *   recurrenceId: Object | null;
+ *   properties: Object<string, string>; // X- properties (unescaped)
+ * }>}
+ * @throws {Error} If the text is not an iCalendar document.
+ */
+export function parseIcs(text, { keepFree = false } = {}) {
+  const lines = unfoldLines(text || "");
+  if (!lines.length || lines[0].trim().toUpperCase() !== "BEGIN:VCALENDAR") {
+    throw new Error(t("errorInvalidIcs"));
+  }
+
+  const events = [];
+  let current = null;
+  let nested = 0; // componentes dentro del VEVENT (VALARM...)
+
+  for (const line of lines) {
+    const { name, params, value } = parseContentLine(line);
+
+    if (name === "BEGIN") {
+      if (value.toUpperCase() === "VEVENT" && !current) {
+        current = { exdates: [], status: "", transparency: "", properties: {} };
+      } else if (current) {
+        nested += 1;
+      }
+      continue;
+    }
+
+    if (name === "END") {
+      if (current && nested) {
+        nested -= 1;
+      } else if (current && value.toUpperCase() === "VEVENT") {
+        const blocksTime = current.status !== "CANCELLED" && current.transparency !== "TRANSPARENT";
+        if (current.start && (blocksTime || (keepFree && current.status !== "CANCELLED"))) {
+          events.push({
+            uid: current.uid || "",
+            summary: current.summary || "",
+            start: current.start,
+            end: current.end || null,
+            duration: current.duration || null,
+            rrule: current.rrule || null,
+            exdates: current.exdates,
+            recurrenceId: current.recurrenceId || null,
+            properties: current.properties,
+          });
+        }
+        current = null;
+      }
+      continue;
+    }
+
+    if (!current || nested) continue;
+
+    if (name === "UID") current.uid = value;
+    else if (name === "SUMMARY") current.summary = unescapeText(value);
+    else if (name === "DTSTART") current.start = parseIcsDateTime(value, params);
+    else if (name === "DTEND") current.end = parseIcsDateTime(value, params);
+    else if (name === "DURATION") current.duration = parseDuration(value);
+    else if (name === "RRULE") current.rrule = parseRRule(value);
+    else if (name === "RECURRENCE-ID") current.recurrenceId = parseIcsDateTime(value, params);
+    else if (name === "STATUS") current.status = value.toUpperCase();
+    else if (name === "TRANSP") current.transparency = value.toUpperCase();
+    else if (name.startsWith("X-")) current.properties[name] = unescapeText(value);
+    else if (name === "EXDATE") {
+      for (const item of value.split(",")) {
+        const exdate = parseIcsDateTime(item, params);
+        if (exdate) current.exdates.push(exdate);
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Returns the time zone in which a parsed value's wall-clock time is read:
+ * UTC for "Z" values, its TZID when it is a known IANA zone, otherwise the
+ * fallback (floating times, all-day dates, Windows zone names...).
+ *
+ * @param {{ utc: boolean; tzid: string | null }} value
+ * @param {string} fallbackTimeZone
+ * @returns {string}
+ */
+function resolveTimeZone(value, fallbackTimeZone) {
+  if (value.utc) return "UTC";
+  if (value.tzid && isValidTimeZone(value.tzid)) return value.tzid;
+  return fallbackTimeZone;
+}
+
+/**
+ * Converts a parsed DATE / DATE-TIME value into an instant.
+ *
+ * @param {{ date: string; time: string | null; utc: boolean; tzid: string | null }} value
+ * @param {string} fallbackTimeZone
+ * @returns {Date}
+ */
+function toInstant(value, fallbackTimeZone) {
+  return zonedTimeToUtc(value.date, value.time || "00:00", resolveTimeZone(value, fallbackTimeZone));
+}
+
+/**
+ * Returns the number of days in a month.
+ *
+ * @param {number} year
+ * @param {number} month - 1–12.
+ * @returns {number}
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Lists the dates of a month matching BYMONTHDAY / BYDAY, or the DTSTART
+ * day of month when neither is given.
+ *
+ * @param {number} year
+ * @param {number} month - 1–12.
+ * @param {Object} rule - Parsed RRULE.
+ * @param {number} startDay - Day of month of DTSTART.
+ * @returns {string[]} Sorted "YYYY-MM-DD" dates.
+ */
+function monthDates(year, month, rule, startDay) {
+  const total = daysInMonth(year, month);
+  const toDate = (day) =>
+    `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  const days = new Set();
+
+  if (rule.byMonthDay.length) {
+    for (const n of rule.byMonthDay) {
+      const day = n > 0 ? n : total + n + 1;
+      if (day >= 1 && day <= total) days.add(day);
+    }
+  } else if (rule.byDay.length) {
+    for (const { weekday, ordinal } of rule.byDay) {
+      const matches = [];
+      for (let day = 1; day <= total; day++) {
+        if (getWeekday(toDate(day)) === weekday) matches.push(day);
+      }
+      if (!ordinal) matches.forEach((day) => days.add(day));
+      else {
+        const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (day) days.add(day);
+      }
+    }
+  } else if (startDay <= total) {
+    days.add(startDay);
+  }
+
+  return [...days].sort((a, b) => a - b).map(toDate);
+}
+
+/**
+ * Generates the occurrence dates ("YYYY-MM-DD") of a recurrence rule in
+ * order, starting at the DTSTART date.
+ *
+ * @param {string} startDate - DTSTART date.
+ * @param {Object} rule - Parsed RRULE.
+ * @returns {Generator<string>}
+ */
+function* recurrenceDates(startDate, rule) {
+  const [startYear, startMonth, startDay] = startDate.split("-").map(Number);
+  const allowedMonth = (date) =>
+    !rule.byMonth.length || rule.byMonth.includes(Number(date.slice(5, 7)));
+  const allowedWeekday = (date) =>
+    !rule.byDay.length || rule.byDay.some(({ weekday }) => weekday === getWeekday(date));
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    let dates;
+
+    if (rule.freq === "DAILY") {
+      dates = [addDays(startDate, period * rule.interval)].filter(
+        (date) => allowedMonth(date) && allowedWeekday(date)
+      );
+    } else if (rule.freq === "WEEKLY") {
+      // Semana que empieza el lunes (WKST por defecto)
+      const weekStart = addDays(startDate, -((getWeekday(startDate) + 6) % 7) + period * 7 * rule.interval);
+      const weekdays = rule.byDay.length
+        ? rule.byDay.map(({ weekday }) => weekday)
+        : [getWeekday(startDate)];
+      dates = weekdays
+        .map((weekday) => addDays(weekStart, (weekday + 6) % 7))
+        .sort()
+        .filter(allowedMonth);
+    } else {
+      const months = [];
+      if (rule.freq === "MONTHLY") {
+        const index = startMonth - 1 + period * rule.interval;
+        months.push([startYear + Math.floor(index / 12), (index % 12) + 1]);
+      } else {
+        const year = startYear + period * rule.interval;
+        const byMonth = rule.byMonth.length ? rule.byMonth : [startMonth];
+        byMonth.forEach((month) => months.push([year, month]));
+      }
+      dates = months
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+        .flatMap(([year, month]) => monthDates(year, month, rule, startDay))
+        .filter(allowedMonth);
+    }
+
+    for (const date of dates) {
+      if (date >= startDate) yield date;
+    }
+  }
+}
+
+/**
+ * Expands parsed VEVENTs (see parseIcs) into the busy periods that overlap a
+ * time range.
+ *
+ * Recurring events are expanded with their RRULE, skipping EXDATEs and the
+ * instances replaced by a RECURRENCE-ID override (which is added on its own).
+ * All-day events block their whole dates in fallbackTimeZone.
+ *
+ * @param {Array<Object>} events - Output of parseIcs.
+ * @param {{ timeMin: Date; timeMax: Date; timeZone: string }} range
+ *   timeZone is used for all-day events and times without a known TZID.
+ * @returns {Array<{ start: Date; end: Date }>} Unmerged busy periods, sorted by start.
+ */
+export function expandIcsEvents(events, { timeMin, timeMax, timeZone }) {
+  const periods = [];
+  const pushIfOverlaps = (start, end) => {
+    if (start < timeMax && end > timeMin) periods.push({ start, end });
+  };
+
+  // Instancias reemplazadas por un override (mismo UID + RECURRENCE-ID)
+  const overridden = new Set(
+    events
+      .filter((event) => event.recurrenceId)
+      .map((event) => `${event.uid}|${toInstant(event.recurrenceId, timeZone).getTime()}`)
+  );
+
+  for (const event of events) {
+    const zone = event.start.time ? resolveTimeZone(event.start, timeZone) : timeZone;
+
+    // Duración: en días para eventos de día completo, en minutos si no
+    let durationDays = 0;
+    let durationMs = 0;
+    if (event.end && !event.start.time) {
+      durationDays = Math.round(
+        (Date.parse(event.end.date) - Date.parse(event.start.date)) / DAY_MS
+      );
+    } else if (event.end) {
+      durationMs = toInstant(event.end, timeZone) - toInstant(event.start, timeZone);
+    } else if (event.duration) {
+      durationDays = event.duration.days;
+      durationMs = event.duration.minutes * MINUTE_MS;
+    } else if (!event.start.time) {
+      durationDays = 1;
+    }
+
+    const occurrence = (date) => {
+      const start = zonedTimeToUtc(date, event.start.time || "00:00", zone);
+      const endBase = durationDays
+        ? zonedTimeToUtc(addDays(date, durationDays), event.start.time || "00:00", zone)
+        : start;
+      return { start, end: new Date(endBase.getTime() + durationMs) };
+    };
+
+    if (!event.rrule || event.recurrenceId) {
+      const { start, end } = occurrence(event.start.date);
+      if (end > start) pushIfOverlaps(start, end);
+      continue;
+    }
+
+    const excluded = new Set(event.exdates.map((exdate) => toInstant(exdate, timeZone).getTime()));
+    const until = event.rrule.until ? toInstant(event.rrule.until, zone) : null;
+    const untilDate = until ? getZonedDateStr(until, zone) : null;
+    // Fechas que no pueden llegar al rango: solo se cuentan (COUNT), sin convertirlas
+    const firstRelevantDate = addDays(getZonedDateStr(timeMin, zone), -(durationDays + 2));
+    let count = 0;
+
+    for (const date of recurrenceDates(event.start.date, event.rrule)) {
+      if (untilDate && date > untilDate) break;
+      if (event.rrule.count !== null && count >= event.rrule.count) break;
+      count += 1;
+      if (date < firstRelevantDate) continue;
+
+      const { start, end } = occurrence(date);
+      if (start >= timeMax || (until && start > until)) break;
+
+      const key = start.getTime();
+      if (excluded.has(key) || overridden.has(`${event.uid}|${key}`)) continue;
+      if (end > start) pushIfOverlaps(start, end);
+    }
+  }
+
+  return periods.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Reads the busy periods of a VFREEBUSY response (e.g. a CalDAV
+ * free-busy-query). FREE periods are ignored; BUSY, BUSY-TENTATIVE and
+ * BUSY-UNAVAILABLE all block time.
+ *
+ * @param {string} text - iCalendar document with VFREEBUSY components.
+ * @returns {Array<{ start: Date; end: Date }>} Unmerged busy periods.
+ */
+export function parseFreeBusy(text) {
+  const periods = [];
+
+  for (const line of unfoldLines(text || "")) {
+    const { name, params, value } = parseContentLine(line);
+    if (name !== "FREEBUSY" || (params.FBTYPE || "BUSY").toUpperCase() === "FREE") continue;
+
+    for (const period of value.split(",")) {
+      const [startValue, endValue = ""] = period.split("/");
+      const start = parseIcsDateTime(startValue, {});
+      if (!start?.utc) continue; // RFC 5545: los periodos FREEBUSY van en UTC
+
+      const startAt = toInstant(start, "UTC");
+      let endAt;
+      if (endValue.startsWith("P") || endValue.startsWith("+P")) {
+        const duration = parseDuration(endValue);
+        if (!duration) continue;
+        endAt = new Date(startAt.getTime() + duration.days * DAY_MS + duration.minutes * MINUTE_MS);
+      } else {
+        const end = parseIcsDateTime(endValue, {});
+        if (!end) continue;
+        endAt = toInstant(end, "UTC");
+      }
+
+      if (endAt > startAt) periods.push({ start: startAt, end: endAt });
+    }
+  }
+
+  return periods;
+}
+
+/**
+ * Moves the main VEVENT of an iCalendar document (the one without
+ * RECURRENCE-ID) to a new time range, keeping every other property and
+ * component (alarms, description, edits made in other clients) untouched.
+ * Only the VEVENT's own properties are rewritten: the DURATION of a VALARM,
+ * for instance, is kept. The new times are written in UTC, so no VTIMEZONE
+ * is needed for them.
+ *
+ * @param {string} text - iCalendar document (e.g. a CalDAV resource).
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {string} The updated document, with CRLF line endings.
+ * @throws {Error} If the document has no main VEVENT.
+ */
+export function retimeIcsEvent(text, start, end) {
+  const output = [];
+  let inEvent = false;
+  let nested = 0;
+  /** @type {Array<{ line: string; nested: boolean }>} */
+  let eventLines = [];
+  let found = false;
+
+  for (const line of unfoldLines(text || "")) {
+    const { name, value } = parseContentLine(line);
+
+    if (!inEvent) {
+      if (name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+        inEvent = true;
+        eventLines = [{ line, nested: false }];
+      } else {
+        output.push(line);
+      }
+      continue;
+    }
+
+    if (name === "END" && !nested && value.toUpperCase() === "VEVENT") {
+      // Solo las propiedades del propio VEVENT, no las de sus VALARM
+      const props = eventLines.filter((l) => !l.nested).map((l) => parseContentLine(l.line));
+      const isMain = !props.some((prop) => prop.name === "RECURRENCE-ID");
+      let lines = eventLines.map((l) => l.line);
+      if (isMain && !found) {
+        found = true;
+        const sequence = Number(props.find((prop) => prop.name === "SEQUENCE")?.value) || 0;
+        lines = eventLines
+          .filter(
+            (l) =>
+              l.nested ||
+              !["DTSTART", "DTEND", "DURATION", "SEQUENCE", "DTSTAMP"].includes(
+                parseContentLine(l.line).name
+              )
+          )
+          .map((l) => l.line);
+        lines.splice(
+          1,
+          0,
+          `DTSTAMP:${formatUtcDateTime(new Date())}`,
+          `DTSTART:${formatUtcDateTime(start)}`,
+          `DTEND:${formatUtcDateTime(end)}`,
+          `SEQUENCE:${sequence + 1}`
+        );
+      }
+      output.push(...lines, line);
+      inEvent = false;
+      continue;
+    }
+
+    if (name === "BEGIN") nested += 1;
+    eventLines.push({ line, nested: nested > 0 });
+    if (name === "END" && nested) nested -= 1;
+  }
+
+  if (!found) throw new Error(t("errorIcsNoMainEvent"));
+  return output.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,289 @@
+// src/lib/providers/caldavProvider.js
+/**
+ * CalDAV Calendar Provider
+ *
+ * Implements the calendar provider interface (see providers/index.js) on top
+ * of the CalDAV helpers in caldavApi.js, for self-hosted calendars
+ * (Nextcloud, Radicale, Baïkal...).
+ *
+ * - Calendar IDs are calendar collection URLs. A value that is not a URL
+ *   (e.g. the default "primary") means the first calendar found on the server.
+ * - Event IDs are the absolute URLs of the .ics resources. Each block is
+ *   created at a new URL with If-None-Match, so a retried create that finds
+ *   its own block already stored counts as created.
+ * - Blocks are written as one VEVENT per resource, tagged with X- properties
+ *   (the equivalent of Google's private extended properties). Template
+ *   reminders become VALARMs; conference links are not supported.
+ * - Moving a block only rewrites its start and end, so edits made in other
+ *   clients are kept.
+ */
+import {
+  calendarQuery,
+  deleteEventResource,
+  discoverCalendars,
+  freeBusyQuery,
+  getEventResource,
+  putEventResource,
+} from "../caldavApi.js";
+import { buildIcs, expandIcsEvents, parseFreeBusy, parseIcs, retimeIcsEvent } from "../ics.js";
+import { mergeBusyPeriods } from "../scheduler.js";
+import { zonedTimeToUtc } from "../timezone.js";
+import { loadCaldavAccount } from "../../storage/caldavAccount.js";
+import { t } from "../i18n.js";
+
+/**
+ * X- properties stamped on every block created by the extension.
+ * MARKER is always "1"; the others mirror the Google extended properties.
+ */
+const PROPS = {
+  MARKER: "X-CALENDAR-SCHEDULER",
+  TASK: "X-CALENDAR-SCHEDULER-TASK",
+  RUN_ID: "X-CALENDAR-SCHEDULER-RUN-ID",
+  DEADLINE: "X-CALENDAR-SCHEDULER-DEADLINE",
+  COLOR_ID: "X-CALENDAR-SCHEDULER-COLOR-ID",
+};
+
+/**
+ * Whether a parsed VEVENT was created by the extension.
+ *
+ * @param {Object} event - Output of parseIcs.
+ * @returns {boolean}
+ */
+function isSchedulerEvent(event) {
+  return event.properties[PROPS.MARKER] === "1";
+}
+
+/**
+ * Returns the main VEVENT of a resource (the one without RECURRENCE-ID),
+ * "free" (transparent) blocks included.
+ *
+ * @param {string} data - iCalendar text of the resource.
+ * @returns {Object | null}
+ */
+function mainEvent(data) {
+  try {
+    return parseIcs(data, { keepFree: true }).find((event) => !event.recurrenceId) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Creates a CalDAV provider for the account saved in the options page.
+ *
+ * @returns {Object} A calendar provider.
+ */
+export function createCaldavProvider() {
+  let accountPromise = null;
+  let calendarsPromise = null;
+
+  /**
+   * Loads the account once and checks it is complete.
+   *
+   * @returns {Promise<{ serverUrl: string; username: string; password: string }>}
+   * @throws {Error} If the server URL or credentials are missing.
+   */
+  function account() {
+    if (!accountPromise) {
+      accountPromise = loadCaldavAccount().then((acc) => {
+        if (!acc.serverUrl || !acc.username || !acc.password) {
+          throw new Error(t("errorCaldavAccountIncomplete"));
+        }
+        return acc;
+      });
+      // Si falla, la próxima llamada vuelve a intentarlo
+      accountPromise.catch(() => {
+        accountPromise = null;
+      });
+    }
+    return accountPromise;
+  }
+
+  /**
+   * Resolves a calendar ID to the URL of its collection. IDs that are not
+   * absolute URLs select the first calendar discovered on the server.
+   *
+   * @param {string} calendarId
+   * @returns {Promise<string>} Collection URL, ending in "/".
+   * @throws {Error} If the server has no calendars.
+   */
+  async function calendarUrl(calendarId) {
+    let url;
+    try {
+      url = new URL(calendarId).href;
+    } catch {
+      if (!calendarsPromise) {
+        calendarsPromise = account().then(discoverCalendars);
+        calendarsPromise.catch(() => {
+          calendarsPromise = null;
+        });
+      }
+      const [first] = await calendarsPromise;
+      if (!first) throw new Error(t("errorCaldavNoCalendars"));
+      url = first.url;
+    }
+    return url.endsWith("/") ? url : `${url}/`;
+  }
+
+  /**
+   * Busy periods of one calendar in a range, from free-busy-query when the
+   * server supports it, otherwise from its events (calendar-query).
+   *
+   * @param {string} calendarId
+   * @param {Date} timeMin
+   * @param {Date} timeMax
+   * @param {string} timeZone - For all-day and floating events.
+   * @returns {Promise<Array<{ start: Date; end: Date }>>}
+   */
+  async function busyPeriods(calendarId, timeMin, timeMax, timeZone) {
+    const acc = await account();
+    const url = await calendarUrl(calendarId);
+
+    const freeBusy = await freeBusyQuery(acc, url, timeMin, timeMax);
+    if (freeBusy) return parseFreeBusy(freeBusy);
+
+    const resources = await calendarQuery(acc, url, { timeMin, timeMax });
+    const events = resources.flatMap(({ data }) => parseIcs(data));
+    return expandIcsEvents(events, { timeMin, timeMax, timeZone });
+  }
+
+  return {
+    id: "caldav",
+
+    async isAuthenticated() {
+      const acc = await loadCaldavAccount();
+      return Boolean(acc.serverUrl && acc.username && acc.password);
+    },
+
+    async getBusyPeriodsForDay({ calendarIds, dateStr, startTimeStr, endTimeStr, timeZone }) {
+      const timeMin = zonedTimeToUtc(dateStr, startTimeStr, timeZone);
+      const timeMax = zonedTimeToUtc(dateStr, endTimeStr, timeZone);
+      const lists = await Promise.all(
+        calendarIds.map((calendarId) => busyPeriods(calendarId, timeMin, timeMax, timeZone))
+      );
+      return mergeBusyPeriods(lists.flat());
+    },
+
+    async getBusyPeriodsExcludingScheduler({ calendarIds, timeMin, timeMax, timeZone }) {
+      const acc = await account();
+      const lists = await Promise.all(
+        calendarIds.map(async (calendarId) =>
+          calendarQuery(acc, await calendarUrl(calendarId), { timeMin, timeMax })
+        )
+      );
+
+      const events = lists
+        .flat()
+        .flatMap(({ data }) => parseIcs(data))
+        .filter((event) => !isSchedulerEvent(event));
+      return mergeBusyPeriods(expandIcsEvents(events, { timeMin, timeMax, timeZone }));
+    },
+
+    async createEvent({
+      calendarId,
+      summary,
+      start,
+      end,
+      timeZone,
+      colorId,
+      runId,
+      deadline,
+      description,
+      location,
+      reminders,
+      transparency,
+      visibility,
+    }) {
+      const acc = await account();
+      const uid = crypto.randomUUID();
+      const href = new URL(`${uid}.ics`, await calendarUrl(calendarId)).href;
+
+      const data = buildIcs(
+        [
+          {
+            uid,
+            summary,
+            start,
+            end,
+            colorId,
+            description,
+            location,
+            reminders,
+            transparency,
+            visibility,
+            properties: {
+              [PROPS.MARKER]: "1",
+              [PROPS.TASK]: summary,
+              [PROPS.RUN_ID]: runId || "",
+              [PROPS.DEADLINE]: deadline ? deadline.toISOString() : "",
+              [PROPS.COLOR_ID]: colorId ? String(colorId) : "",
+            },
+          },
+        ],
+        { timeZone, method: null }
+      );
+
+      const created = await putEventResource(acc, href, data, { create: true });
+      if (!created) {
+        // Ya existe: si es nuestro bloque, lo guardó un intento anterior cuya respuesta se perdió
+        const existing = await getEventResource(acc, href);
+        const event = existing && mainEvent(existing.data);
+        if (!event || event.uid !== uid || !isSchedulerEvent(event)) {
+          throw new Error(t("errorCaldavConflict"));
+        }
+        console.warn(`El evento ${href} ya existía (reintento); se reutiliza.`);
+      }
+      console.log(`Evento CalDAV creado ${start.toISOString()} - ${end.toISOString()}: ${href}`);
+      return { id: href };
+    },
+
+    async listSchedulerEvents({ calendarId, timeMin, timeMax, task, runId }) {
+      const acc = await account();
+      const resources = await calendarQuery(acc, await calendarUrl(calendarId), { timeMin, timeMax });
+
+      return resources
+        .map(({ href, data }) => ({ href, event: mainEvent(data) }))
+        .filter(({ event }) => event && isSchedulerEvent(event) && event.start.time && event.end)
+        .flatMap(({ href, event }) => {
+          const props = event.properties;
+          // Los bloques se escriben siempre con TZID: la zona de respaldo no se usa
+          const [period] = expandIcsEvents([event], {
+            timeMin: new Date(0),
+            timeMax: new Date(8.64e15),
+            timeZone: "UTC",
+          });
+          if (!period) return [];
+          return {
+            id: href,
+            summary: event.summary,
+            start: period.start,
+            end: period.end,
+            task: props[PROPS.TASK] || "",
+            runId: props[PROPS.RUN_ID] || "",
+            deadline: props[PROPS.DEADLINE] ? new Date(props[PROPS.DEADLINE]) : null,
+            colorId: props[PROPS.COLOR_ID] || "",
+          };
+        })
+        .filter((event) => !task || event.task === task)
+        .filter((event) => !runId || event.runId === runId)
+        .sort((a, b) => a.start - b.start);
+    },
+
+    async moveEvent({ eventId, start, end }) {
+      const acc = await account();
+      const resource = await getEventResource(acc, eventId);
+      if (!resource) throw new Error(t("errorCaldavEventGone"));
+
+      const data = retimeIcsEvent(resource.data, start, end);
+      await putEventResource(acc, eventId, data, { etag: resource.etag });
+      console.log(`Evento ${eventId} movido a ${start.toISOString()} - ${end.toISOString()}`);
+      return { id: eventId };
+    },
+
+    async deleteEvent({ eventId }) {
+      const deleted = await deleteEventResource(await account(), eventId);
+      if (!deleted) console.log(`Evento ${eventId} ya no existe.`);
+      return deleted;
+    },
+  };
+}
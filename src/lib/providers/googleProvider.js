@@ -0,0 +1,51 @@
+// src/lib/providers/googleProvider.js
+/**
+ * Google Calendar Provider
+ *
+ * Implements the calendar provider interface (see providers/index.js) on top
+ * of the Google Calendar v3 helpers in calendarApi.js. The OAuth access
+ * token is requested once, on the first call that needs it; if Google
+ * rejects it later, calendarApi.js renews it.
+ */
+import { getAccessToken, isAuthenticated } from "../auth.js";
+import {
+  createEvent,
+  deleteEvent,
+  getBusyPeriodsExcludingScheduler,
+  getBusyPeriodsForDay,
+  listSchedulerEvents,
+  moveEvent,
+} from "../calendarApi.js";
+
+/**
+ * Creates a Google Calendar provider.
+ *
+ * @param {{ interactive?: boolean }} [options]
+ *   interactive: when false (alarms), fails instead of opening a Google login.
+ * @returns {Object} A calendar provider.
+ */
+export function createGoogleProvider({ interactive = true } = {}) {
+  let tokenPromise = null;
+  const token = () => {
+    if (!tokenPromise) {
+      tokenPromise = getAccessToken({ interactive });
+      // Si falla, la próxima llamada vuelve a intentarlo
+      tokenPromise.catch(() => {
+        tokenPromise = null;
+      });
+    }
+    return tokenPromise;
+  };
+
+  return {
+    id: "google",
+    isAuthenticated,
+    getBusyPeriodsForDay: async (params) => getBusyPeriodsForDay(await token(), params),
+    getBusyPeriodsExcludingScheduler: async (params) =>
+      getBusyPeriodsExcludingScheduler(await token(), params),
+    createEvent: async (params) => createEvent(await token(), params),
+    listSchedulerEvents: async (params) => listSchedulerEvents(await token(), params),
+    moveEvent: async (params) => moveEvent(await token(), params),
+    deleteEvent: async (params) => deleteEvent(await token(), params),
+  };
+}
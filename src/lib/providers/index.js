@@ -0,0 +1,52 @@
+// src/lib/providers/index.js
+/**
+ * Calendar Providers
+ *
+ * The scheduler talks to calendars only through a provider object, so the
+ * backend can be swapped from the options page ("calendarProvider"):
+ * - "google": Google Calendar v3 (googleProvider.js).
+ * - "local": events kept in extension storage, for offline planning and
+ *   for exercising the flow without an account (localProvider.js).
+ * - "caldav": self-hosted CalDAV servers such as Nextcloud or Radicale
+ *   (caldavProvider.js).
+ *
+ * Every provider implements:
+ * - id: string
+ * - isAuthenticated(): Promise<boolean>
+ * - getBusyPeriodsForDay({ calendarIds, dateStr, startTimeStr, endTimeStr, timeZone })
+ *     → Promise<Array<{ start: Date; end: Date }>>   // merged, own blocks included
+ * - getBusyPeriodsExcludingScheduler({ calendarIds, timeMin, timeMax, timeZone })
+ *     → Promise<Array<{ start: Date; end: Date }>>   // busy time that is not ours
+ * - createEvent({ calendarId, summary, start, end, timeZone, colorId?, runId?, deadline?,
+ *                 description?, location?, reminders?, transparency?, visibility?, conference? })
+ *     → Promise<{ id: string }>   // template fields a backend cannot store are ignored
+ * - listSchedulerEvents({ calendarId, timeMin?, timeMax?, task?, runId? })
+ *     → Promise<Array<{ id, summary, start, end, task, runId, deadline, colorId }>>
+ * - moveEvent({ calendarId, eventId, start, end, timeZone }) → Promise<Object>
+ * - deleteEvent({ calendarId, eventId }) → Promise<boolean>  // false if already gone
+ */
+import { createCaldavProvider } from "./caldavProvider.js";
+import { createGoogleProvider } from "./googleProvider.js";
+import { createLocalProvider } from "./localProvider.js";
+import { DEFAULT_CONFIG } from "../../storage/config.js";
+import { t } from "../i18n.js";
+
+/** Provider used when none is configured. */
+export const DEFAULT_PROVIDER = DEFAULT_CONFIG.calendarProvider;
+
+/**
+ * Creates the calendar provider with the given ID.
+ *
+ * @param {string} [providerId] - "google", "local" or "caldav"; defaults to DEFAULT_PROVIDER.
+ * @param {{ interactive?: boolean }} [options]
+ *   interactive: when false (alarms), providers that need a login fail
+ *   instead of opening it.
+ * @returns {Object} A calendar provider.
+ * @throws {Error} If the provider ID is unknown.
+ */
+export function createCalendarProvider(providerId = DEFAULT_PROVIDER, { interactive = true } = {}) {
+  if (providerId === "google") return createGoogleProvider({ interactive });
+  if (providerId === "local") return createLocalProvider();
+  if (providerId === "caldav") return createCaldavProvider();
+  throw new Error(t("errorUnknownProvider", providerId));
+}
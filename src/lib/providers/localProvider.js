@@ -0,0 +1,160 @@
+// src/lib/providers/localProvider.js
+/**
+ * Local Calendar Provider
+ *
+ * Implements the calendar provider interface (see providers/index.js) with
+ * events kept in extension storage (storage/localEvents.js) instead of a
+ * remote calendar. It needs no account or network, so the whole flow
+ * (preview, create, reflow, undo, export) can run offline as a stand-in.
+ *
+ * Every event of the local calendar is treated as created by the extension.
+ */
+import { mergeBusyPeriods } from "../scheduler.js";
+import { zonedTimeToUtc } from "../timezone.js";
+import { loadLocalEvents, saveLocalEvents } from "../../storage/localEvents.js";
+import { t } from "../i18n.js";
+
+/** Tail of the queue of pending read-modify-write cycles on the stored events. */
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Applies a change to the stored events. Changes are queued one after the
+ * other, so events created concurrently (one request per slot) are not lost.
+ *
+ * @param {(events: Array<Object>) => *} mutate - Edits the array in place; may throw.
+ * @returns {Promise<*>} What mutate returned.
+ */
+function updateLocalEvents(mutate) {
+  const update = pendingUpdate.then(async () => {
+    const events = await loadLocalEvents();
+    const result = mutate(events);
+    await saveLocalEvents(events);
+    return result;
+  });
+  pendingUpdate = update.catch(() => {});
+  return update;
+}
+
+/**
+ * Converts a stored event into the shape returned by listSchedulerEvents.
+ *
+ * @param {Object} event - Stored event (ISO dates).
+ * @returns {{ id: string; summary: string; start: Date; end: Date; task: string; runId: string; deadline: Date | null; colorId: string }}
+ */
+function toSchedulerEvent(event) {
+  return {
+    id: event.id,
+    summary: event.summary,
+    start: new Date(event.start),
+    end: new Date(event.end),
+    task: event.task,
+    runId: event.runId,
+    deadline: event.deadline ? new Date(event.deadline) : null,
+    colorId: event.colorId,
+  };
+}
+
+/**
+ * Creates a local calendar provider.
+ *
+ * @returns {Object} A calendar provider.
+ */
+export function createLocalProvider() {
+  /**
+   * Stored events of some calendars that overlap [timeMin, timeMax).
+   *
+   * @param {string[]} calendarIds
+   * @param {Date} [timeMin]
+   * @param {Date} [timeMax]
+   * @returns {Promise<Array<Object>>}
+   */
+  async function findEvents(calendarIds, timeMin, timeMax) {
+    const events = await loadLocalEvents();
+    return events
+      .filter((event) => calendarIds.includes(event.calendarId))
+      .filter((event) => !timeMin || new Date(event.end) > timeMin)
+      .filter((event) => !timeMax || new Date(event.start) < timeMax)
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  return {
+    id: "local",
+
+    isAuthenticated: async () => true,
+
+    async getBusyPeriodsForDay({ calendarIds, dateStr, startTimeStr, endTimeStr, timeZone }) {
+      const timeMin = zonedTimeToUtc(dateStr, startTimeStr, timeZone);
+      const timeMax = zonedTimeToUtc(dateStr, endTimeStr, timeZone);
+      const events = await findEvents(calendarIds, timeMin, timeMax);
+      return mergeBusyPeriods(
+        events.map((event) => ({ start: new Date(event.start), end: new Date(event.end) }))
+      );
+    },
+
+    // Todos los eventos locales son bloques de la extensión
+    getBusyPeriodsExcludingScheduler: async () => [],
+
+    async createEvent({
+      calendarId,
+      summary,
+      start,
+      end,
+      colorId,
+      runId,
+      deadline,
+      description,
+      location,
+      transparency,
+      visibility,
+    }) {
+      const event = {
+        id: crypto.randomUUID(),
+        calendarId,
+        summary,
+        start: start.toISOString(),
+        end: end.toISOString(),
+        colorId: colorId ? String(colorId) : "",
+        task: summary,
+        runId: runId || "",
+        deadline: deadline ? deadline.toISOString() : "",
+        description: description || "",
+        location: location || "",
+        transparency: transparency || "opaque",
+        visibility: visibility || "default",
+      };
+
+      await updateLocalEvents((events) => events.push(event));
+      console.log(`Evento local creado ${event.start} - ${event.end}`);
+      return event;
+    },
+
+    async listSchedulerEvents({ calendarId, timeMin, timeMax, task, runId }) {
+      const events = await findEvents([calendarId], timeMin, timeMax);
+      return events
+        .filter((event) => !task || event.task === task)
+        .filter((event) => !runId || event.runId === runId)
+        .map(toSchedulerEvent);
+    },
+
+    moveEvent({ calendarId, eventId, start, end }) {
+      return updateLocalEvents((events) => {
+        const event = events.find((e) => e.id === eventId && e.calendarId === calendarId);
+        if (!event) throw new Error(t("errorLocalEventGone"));
+
+        event.start = start.toISOString();
+        event.end = end.toISOString();
+        return event;
+      });
+    },
+
+    deleteEvent({ calendarId, eventId }) {
+      return updateLocalEvents((events) => {
+        const index = events.findIndex((e) => e.id === eventId && e.calendarId === calendarId);
+        if (index === -1) return false;
+
+        events.splice(index, 1);
+        return true;
+      });
+    },
+  };
+}
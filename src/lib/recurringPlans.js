@@ -0,0 +1,101 @@
+// src/lib/recurringPlans.js
+/**
+ * Recurring Plan Helpers
+ *
+ * Pure functions used by the background alarms to execute recurring plans:
+ * - Computing the next run time of a plan (weekday + time in a time zone).
+ * - Resolving the date range a plan covers when it runs.
+ * - Building the runScheduler payload for a plan.
+ *
+ * A plan looks like:
+ * {
+ *   id: string;
+ *   name: string;
+ *   enabled: boolean;
+ *   weekday: number;          // 0 = Sunday ... 6 = Saturday
+ *   time: string;             // "HH:MM", in the configured time zone
+ *   eventName: string;
+ *   eventColor: string;
+ *   requiredHours: string;    // empty = fill every free slot
+ *   range: "nextWeek" | "nextDays";
+ *   days: number;             // only for range "nextDays"
+ *   lastRun?: { at: string; success: boolean; message: string; runId?: string };
+ * }
+ */
+import { addDays, getWeekday, getZonedDateStr, zonedTimeToUtc } from "./timezone.js";
+import { t } from "./i18n.js";
+
+/**
+ * Returns the next instant (strictly after now) at which the plan must run.
+ *
+ * @param {{ weekday: number; time: string }} plan
+ * @param {string} timeZone - IANA time zone the plan's time is expressed in.
+ * @param {Date} [now=new Date()]
+ * @returns {Date}
+ */
+export function getNextRunTime(plan, timeZone, now = new Date()) {
+  const today = getZonedDateStr(now, timeZone);
+
+  // Como mucho 8 días: hoy (si la hora no pasó) hasta el mismo día de la semana siguiente
+  for (let offset = 0; offset <= 7; offset++) {
+    const dateStr = addDays(today, offset);
+    if (getWeekday(dateStr) !== Number(plan.weekday)) continue;
+
+    const runAt = zonedTimeToUtc(dateStr, plan.time, timeZone);
+    if (runAt > now) return runAt;
+  }
+
+  // Inalcanzable con un weekday válido; se protege igualmente
+  throw new Error(t("errorPlanWeekday"));
+}
+
+/**
+ * Resolves the calendar dates covered by a plan run started at `now`.
+ *
+ * - "nextWeek": the next Monday through the following Sunday.
+ * - "nextDays": from tomorrow, `days` days long.
+ *
+ * @param {{ range: string; days?: number }} plan
+ * @param {string} timeZone
+ * @param {Date} [now=new Date()]
+ * @returns {{ dateStart: string; dateEnd: string }}
+ */
+export function getPlanDateRange(plan, timeZone, now = new Date()) {
+  const today = getZonedDateStr(now, timeZone);
+
+  if (plan.range === "nextDays") {
+    const days = Math.max(1, parseInt(plan.days, 10) || 1);
+    const dateStart = addDays(today, 1);
+    return { dateStart, dateEnd: addDays(dateStart, days - 1) };
+  }
+
+  // Próximo lunes (si hoy es lunes, el de la semana siguiente)
+  const daysUntilMonday = ((8 - getWeekday(today)) % 7) || 7;
+  const dateStart = addDays(today, daysUntilMonday);
+  return { dateStart, dateEnd: addDays(dateStart, 6) };
+}
+
+/**
+ * Builds the runScheduler payload for a plan run. Working hours are left
+ * empty so the weekly schedule from the options page applies.
+ *
+ * @param {Object} plan
+ * @param {string} timeZone
+ * @param {Date} [now=new Date()]
+ * @returns {Object} Scheduler payload.
+ */
+export function buildPlanPayload(plan, timeZone, now = new Date()) {
+  const { dateStart, dateEnd } = getPlanDateRange(plan, timeZone, now);
+
+  return {
+    eventName: plan.eventName,
+    eventColor: plan.eventColor,
+    dateStart,
+    dateEnd,
+    workdayStart: "",
+    workdayEnd: "",
+    taskStart: "00:00",
+    taskEnd: "23:59",
+    requiredHours: plan.requiredHours,
+  };
+}
@@ -5,11 +5,16 @@
  * This module provides helpers for:
  * - Time comparison and normalization
  * - Generating time slots within a specified range
- * - Detecting overlapping intervals
+ * - Detecting overlapping intervals and merging busy periods
  * - Filtering available (free) slots based on busy periods
+ * - Merging contiguous free slots into focus blocks
+ * - Allocating free slots against a time budget, or across several tasks
+ * - Resolving per-weekday working hours
+ * - Finding the free time closest to a block that has to be moved (reflow)
  *
  * Used by the scheduling engine to determine when events can be created.
  */
+import { getWeekday, zonedTimeToUtc } from "./timezone.js";
 
 /**
  * Converts a "HH:MM" time string into total minutes.
@@ -52,21 +57,23 @@ export function minTimeStr(t1, t2) {
 /**
  * Generates a list of consecutive time slots within a given time range.
  *
+ * The start and end times are wall-clock times in the given IANA time zone,
+ * so the resulting instants are correct regardless of the browser's zone and
+ * across DST transitions.
+ *
  * @param {string} dateStr - Date in "YYYY-MM-DD" format.
  * @param {string} startStr - Start time "HH:MM".
  * @param {string} endStr - End time "HH:MM".
  * @param {number} [durationMinutes=30] - Slot duration in minutes.
+ * @param {string} timeZone - IANA time zone the times are expressed in.
  * @returns {Array<{ start: Date, end: Date }>}
  *   An array of slot objects, each with start and end Date instances.
  */
-export function createTimeSlots(dateStr, startStr, endStr, durationMinutes = 30) {
+export function createTimeSlots(dateStr, startStr, endStr, durationMinutes = 30, timeZone) {
   // dateStr: 'YYYY-MM-DD'
-  // startStr/endStr: 'HH:MM'
-  const [sh, sm] = startStr.split(":").map(Number);
-  const [eh, em] = endStr.split(":").map(Number);
-
-  let current = new Date(`${dateStr}T${pad(sh)}:${pad(sm)}:00`);
-  const end = new Date(`${dateStr}T${pad(eh)}:${pad(em)}:00`);
+  // startStr/endStr: 'HH:MM' (hora local de timeZone)
+  let current = zonedTimeToUtc(dateStr, startStr, timeZone);
+  const end = zonedTimeToUtc(dateStr, endStr, timeZone);
 
   const slots = [];
   const deltaMs = durationMinutes * 60 * 1000;
@@ -86,16 +93,6 @@ export function createTimeSlots(dateStr, startStr, endStr, durationMinutes = 30)
   return slots;
 }
 
-/**
- * Zero-pads a numeric value for time formatting.
- *
- * @param {number} n
- * @returns {string} Padded string (e.g., 9 → "09").
- */
-function pad(n) {
-  return n.toString().padStart(2, "0");
-}
-
 /**
  * Determines whether two time intervals overlap.
  *
@@ -132,3 +129,238 @@ export function filterFreeSlots(slots, busyPeriods) {
 
   return free;
 }
+
+/**
+ * Takes slots in chronological order until the given time budget is covered.
+ * The last slot is shortened if only part of it is needed, so the allocated
+ * time matches the budget exactly when there is enough free time.
+ *
+ * With minMinutes (focus blocks), the shortened slot keeps at least that
+ * length, so the budget may be exceeded by less than minMinutes rather than
+ * creating a block shorter than the minimum.
+ *
+ * @param {Array<{ start: Date, end: Date }>} slots - Free slots, sorted by start.
+ * @param {number} budgetMinutes - Minutes still to be allocated.
+ * @param {{ minMinutes?: number }} [options]
+ * @returns {{ allocated: Array<{ start: Date, end: Date }>, remainingMinutes: number }}
+ *   The slots to use and the part of the budget that could not be covered.
+ */
+export function allocateBudget(slots, budgetMinutes, { minMinutes = 0 } = {}) {
+  const allocated = [];
+  let remainingMs = budgetMinutes * 60 * 1000;
+  const minMs = minMinutes * 60 * 1000;
+
+  for (const slot of slots) {
+    if (remainingMs <= 0) break;
+
+    const durationMs = slot.end.getTime() - slot.start.getTime();
+    if (durationMs <= remainingMs) {
+      allocated.push(slot);
+      remainingMs -= durationMs;
+    } else {
+      // Los bloques de foco miden al menos minMinutes (y el slot ya los cumple)
+      allocated.push({
+        start: slot.start,
+        end: new Date(slot.start.getTime() + Math.max(remainingMs, minMs)),
+      });
+      remainingMs = 0;
+    }
+  }
+
+  return { allocated, remainingMinutes: remainingMs / (60 * 1000) };
+}
+
+/**
+ * Merges busy periods (possibly coming from several calendars) into a sorted
+ * list of non-overlapping intervals. Touching intervals are joined as well.
+ *
+ * @param {Array<{ start: Date, end: Date }>} periods
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+export function mergeBusyPeriods(periods) {
+  const sorted = [...periods].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const { start, end } of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last.end) {
+      if (end > last.end) last.end = new Date(end.getTime());
+    } else {
+      merged.push({ start: new Date(start.getTime()), end: new Date(end.getTime()) });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Resolves the working hours that apply to a given date.
+ *
+ * The weekly schedule decides whether the date is a working day at all;
+ * when an override is given (popup fields), its hours replace the weekly
+ * hours on working days.
+ *
+ * @param {string} dateStr - Date in "YYYY-MM-DD" format.
+ * @param {Array<{ enabled: boolean, start: string, end: string }>} weeklySchedule
+ *   Seven entries indexed by weekday (0 = Sunday).
+ * @param {{ start: string, end: string } | null} [override] - Hours for every working day.
+ * @returns {{ start: string, end: string } | null} Hours for the day, or null on a day off.
+ */
+export function getWorkingHours(dateStr, weeklySchedule, override = null) {
+  const day = weeklySchedule[getWeekday(dateStr)];
+  if (!day || !day.enabled) return null;
+  return override || { start: day.start, end: day.end };
+}
+
+/**
+ * Coalesces contiguous free slots into longer focus blocks.
+ *
+ * Each run of back-to-back slots is cut into blocks of at most maxMinutes;
+ * any fragment (or whole run) shorter than minMinutes is discarded.
+ *
+ * @param {Array<{ start: Date, end: Date }>} slots - Free slots, sorted by start.
+ * @param {{ minMinutes: number, maxMinutes: number }} limits
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+export function buildFocusBlocks(slots, { minMinutes, maxMinutes }) {
+  const minMs = minMinutes * 60 * 1000;
+  const maxMs = maxMinutes * 60 * 1000;
+
+  // 1. Agrupar slots contiguos en tramos continuos
+  const runs = [];
+  for (const { start, end } of slots) {
+    const last = runs[runs.length - 1];
+    if (last && start.getTime() === last.end.getTime()) {
+      last.end = end;
+    } else {
+      runs.push({ start, end });
+    }
+  }
+
+  // 2. Partir cada tramo en bloques de máximo maxMinutes
+  const blocks = [];
+  for (const run of runs) {
+    let cursor = run.start.getTime();
+    const runEnd = run.end.getTime();
+
+    while (runEnd - cursor >= minMs) {
+      const blockEnd = Math.min(cursor + maxMs, runEnd);
+      blocks.push({ start: new Date(cursor), end: new Date(blockEnd) });
+      cursor = blockEnd;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Distributes free time among several tasks in a single pass.
+ *
+ * Tasks are served one after another in strategy order:
+ * - "deadline": earliest deadline first (ties: higher priority first).
+ * - "priority": highest priority first (1 = highest; ties: earliest deadline).
+ * Each task takes the earliest free time before its deadline until its hours
+ * are covered; a candidate only partly needed is split and its remainder
+ * stays available for the following tasks.
+ *
+ * No piece is shorter than minMinutes (the slot length, or the minimum focus
+ * block): a task takes at least that much of a candidate, a remainder
+ * shorter than that goes to the same task (or is dropped if the deadline
+ * cuts it), and a candidate the deadline leaves too short is skipped. With
+ * fixed slots this keeps every block on the slot grid. A task may therefore
+ * get up to minMinutes more than it needs. Candidates that are shorter than
+ * minMinutes as a whole (e.g. the last slot of a day) are taken whole.
+ *
+ * @param {Array<{ start: Date, end: Date }>} candidates - Free slots/blocks, sorted by start.
+ * @param {Array<{ id: string, minutes: number, deadline: Date, priority: number }>} tasks
+ * @param {"deadline" | "priority"} [strategy="deadline"]
+ * @param {{ minMinutes?: number }} [options]
+ * @returns {{
+ *   allocations: Array<{ taskId: string, start: Date, end: Date }>,
+ *   unplaced: Array<{ taskId: string, missingMinutes: number }>
+ * }} Allocations sorted by start, and tasks that could not be fully placed.
+ */
+export function allocateTasks(candidates, tasks, strategy = "deadline", { minMinutes = 0 } = {}) {
+  const minMs = minMinutes * 60 * 1000;
+  const byDeadline = (a, b) => a.deadline - b.deadline;
+  const byPriority = (a, b) => a.priority - b.priority;
+  const ordered = [...tasks].sort((a, b) =>
+    strategy === "priority"
+      ? byPriority(a, b) || byDeadline(a, b)
+      : byDeadline(a, b) || byPriority(a, b)
+  );
+
+  // Copia mutable: los huecos se consumen a medida que se asignan
+  const pool = candidates.map(({ start, end }) => ({ start, end }));
+  const allocations = [];
+  const unplaced = [];
+
+  for (const task of ordered) {
+    let remainingMs = task.minutes * 60 * 1000;
+
+    for (let i = 0; i < pool.length && remainingMs > 0; i++) {
+      const free = pool[i];
+      if (free.start >= task.deadline) break;
+
+      const freeMs = free.end.getTime() - free.start.getTime();
+      const usableMs = Math.min(free.end.getTime(), task.deadline.getTime()) - free.start.getTime();
+      // Lo que deja el deadline no alcanza para un bloque
+      if (usableMs < Math.min(minMs, freeMs)) continue;
+
+      let takeMs = Math.min(usableMs, Math.max(remainingMs, minMs));
+      // Un resto más corto que el mínimo no le sirve a nadie: para esta tarea si cabe
+      if (freeMs - takeMs < minMs && freeMs <= usableMs) takeMs = freeMs;
+
+      const end = new Date(free.start.getTime() + takeMs);
+      allocations.push({ taskId: task.id, start: free.start, end });
+      remainingMs -= takeMs;
+
+      if (end < free.end && freeMs - takeMs >= minMs) {
+        pool[i] = { start: end, end: free.end };
+      } else {
+        pool.splice(i, 1);
+        i -= 1;
+      }
+    }
+
+    if (remainingMs > 0) {
+      unplaced.push({ taskId: task.id, missingMinutes: remainingMs / (60 * 1000) });
+    }
+  }
+
+  allocations.sort((a, b) => a.start - b.start);
+  return { allocations, unplaced };
+}
+
+/**
+ * Finds where a block of a given duration fits closest to a target start.
+ *
+ * Within each free period the block is placed as near to the target as the
+ * period allows, so the original time is kept whenever it is still free.
+ *
+ * @param {Array<{ start: Date, end: Date }>} freePeriods - Merged free time.
+ * @param {number} durationMs - Length of the block.
+ * @param {Date} target - Preferred start (usually the block's current start).
+ * @param {{ notBefore: Date, notAfter: Date }} bounds
+ *   The block must start at or after notBefore and end by notAfter.
+ * @returns {{ start: Date, end: Date } | null} The closest fit, or null if none.
+ */
+export function findNearestSlot(freePeriods, durationMs, target, { notBefore, notAfter }) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const period of freePeriods) {
+    const earliest = Math.max(period.start.getTime(), notBefore.getTime());
+    const latest = Math.min(period.end.getTime(), notAfter.getTime()) - durationMs;
+    if (latest < earliest) continue;
+
+    const start = Math.min(Math.max(target.getTime(), earliest), latest);
+    const distance = Math.abs(start - target.getTime());
+    if (distance < bestDistance) {
+      best = { start: new Date(start), end: new Date(start + durationMs) };
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
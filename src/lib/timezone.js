@@ -0,0 +1,235 @@
+// src/lib/timezone.js
+/**
+ * Time Zone Helpers
+ *
+ * Wall-clock math for an arbitrary IANA time zone, based only on
+ * Intl.DateTimeFormat (no external tz database). Offsets are always derived
+ * for the exact instant involved, so DST transitions are handled correctly.
+ *
+ * Conventions:
+ * - Dates are "YYYY-MM-DD" strings, times are "HH:MM" strings.
+ * - Instants are plain Date objects (UTC internally).
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Cache of Intl formatters, one per time zone (they are costly to build).
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const formatters = new Map();
+
+/**
+ * Returns a formatter that outputs numeric date/time parts in the given zone.
+ *
+ * @param {string} timeZone - IANA time zone, e.g. "America/Bogota".
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Splits an instant into its wall-clock components in the given zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number; month: number; day: number; hour: number; minute: number; second: number }}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * Zero-pads a numeric value to two digits.
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+function pad(n) {
+  return n.toString().padStart(2, "0");
+}
+
+/**
+ * Checks whether a string is a time zone supported by the runtime.
+ *
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Returns the UTC offset of a time zone at a given instant, in minutes
+ * (e.g. -300 for America/Bogota).
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - wholeSeconds) / MINUTE_MS);
+}
+
+/**
+ * Converts a wall-clock date and time in a time zone into the matching instant.
+ *
+ * DST transitions follow the rules calendar apps usually apply, on both
+ * sides of UTC:
+ * - Times that do not exist (skipped when clocks go forward) resolve to the
+ *   instant right after the gap: 02:30 becomes 03:30 EDT on 2025-03-09 in
+ *   America/New_York and 03:30 CEST on 2025-03-30 in Europe/Madrid.
+ * - Times that occur twice (when clocks go back) resolve to the earlier
+ *   occurrence, still in daylight time: 01:30 EDT on 2025-11-02 in
+ *   America/New_York, 02:30 CEST on 2025-10-26 in Europe/Madrid.
+ *
+ * @param {string} dateStr - "YYYY-MM-DD".
+ * @param {string} timeStr - "HH:MM".
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+  const [y, mo, d] = dateStr.split("-").map(Number);
+  const [h, mi] = timeStr.split(":").map(Number);
+  const wallClockMs = Date.UTC(y, mo - 1, d, h, mi);
+
+  // Offsets de un día antes y uno después: si hay un cambio de hora cerca,
+  // son el de antes y el de después del cambio (si no, coinciden).
+  const offsetBefore = getTimeZoneOffset(new Date(wallClockMs - DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClockMs + DAY_MS), timeZone);
+
+  // Un candidato vale si en ese instante rige el offset con el que se calculó
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map((offset) => wallClockMs - offset * MINUTE_MS)
+    .filter(
+      (instant) => wallClockMs - getTimeZoneOffset(new Date(instant), timeZone) * MINUTE_MS === instant
+    );
+
+  if (candidates.length) {
+    // Dos candidatos: la hora se repite; se toma la primera vez
+    return new Date(Math.min(...candidates));
+  }
+
+  // Ninguno: la hora cae en un hueco DST. Con el offset de antes del salto
+  // se obtiene la hora equivalente de después.
+  return new Date(wallClockMs - offsetBefore * MINUTE_MS);
+}
+
+/**
+ * Formats a UTC offset in minutes as "+HH:MM" / "-HH:MM".
+ *
+ * @param {number} offsetMinutes
+ * @returns {string}
+ */
+export function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Formats an instant as an RFC 3339 string with the zone's derived offset,
+ * e.g. "2025-03-09T09:00:00-04:00".
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function toZonedISOString(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const offset = formatOffset(getTimeZoneOffset(date, timeZone));
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}` +
+    `T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${offset}`
+  );
+}
+
+/**
+ * Returns the calendar date ("YYYY-MM-DD") of an instant in a time zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function getZonedDateStr(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Returns the wall-clock time ("HH:MM") of an instant in a time zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function getZonedTimeStr(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Checks whether a string is a real calendar date in "YYYY-MM-DD" format.
+ *
+ * @param {string} dateStr
+ * @returns {boolean}
+ */
+export function isValidDateStr(dateStr) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || "")) return false;
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+/**
+ * Adds a number of calendar days to a "YYYY-MM-DD" date (zone independent).
+ *
+ * @param {string} dateStr
+ * @param {number} days - May be negative.
+ * @returns {string}
+ */
+export function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the weekday of a "YYYY-MM-DD" date (0 = Sunday ... 6 = Saturday).
+ *
+ * @param {string} dateStr
+ * @returns {number}
+ */
+export function getWeekday(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
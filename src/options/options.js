@@ -7,22 +7,181 @@
  * - Populating the options UI with those values.
  * - Saving new configuration values entered by the user.
  * - Resetting the UI to default values.
+ * - Rendering and editing the weekly working-hours schedule.
+ * - Managing recurring plans (stored by plans.js, scheduled by the background).
+ * - Configuring the automatic reflow and showing its last result.
+ * - Importing external .ics calendars used as extra busy time.
+ * - Configuring the CalDAV account and listing its calendars.
+ * - Picking the target Google calendar from the writable calendar list.
+ * - Editing the template copied into every created block.
+ * - Showing the validation error of each setting next to its input.
+ * - Exporting and importing the whole configuration as JSON.
  *
- * It interacts with config.js, which applies persistence and maintains defaults.
+ * It interacts with config.js, which applies persistence, defaults,
+ * validation and migrations.
  */
-import { saveConfig, loadConfig } from "../storage/config.js";
+import {
+  buildConfigExport,
+  DEFAULT_CONFIG,
+  DEFAULT_WEEKLY_SCHEDULE,
+  loadConfig,
+  normalizeConfig,
+  parseConfigExport,
+  saveConfig,
+  validateConfig,
+} from "../storage/config.js";
+import { loadPlans, upsertPlan, deletePlan } from "../storage/plans.js";
+import { loadLastReflow } from "../storage/reflow.js";
+import {
+  loadImportedCalendars,
+  addImportedCalendar,
+  deleteImportedCalendar,
+} from "../storage/importedCalendars.js";
+import { parseIcs } from "../lib/ics.js";
+import { loadLocalEvents, saveLocalEvents } from "../storage/localEvents.js";
+import { loadCaldavPassword, saveCaldavPassword } from "../storage/caldavAccount.js";
+import { formatDateTime, localizePage, t } from "../lib/i18n.js";
 /**
  * Field mapping for clean iteration:
  * Keys correspond to config object properties.
  * Values correspond to input element IDs.
  */
 const fields = {
+  calendarProvider: "calendarProvider",
   calendarId: "calendarId",
+  busyCalendarIds: "busyCalendarIds",
   slotMinutes: "slotMinutes",
+  blockMode: "blockMode",
+  minBlockMinutes: "minBlockMinutes",
+  maxBlockMinutes: "maxBlockMinutes",
   timezone: "timezone",
+  reflowIntervalHours: "reflowIntervalHours",
+  reflowDays: "reflowDays",
+  caldavServerUrl: "caldavServerUrl",
+  caldavUsername: "caldavUsername",
+  eventDescription: "eventDescription",
+  eventLocation: "eventLocation",
+  eventReminders: "eventReminders",
+  eventReminderMinutes: "eventReminderMinutes",
+  eventTransparency: "eventTransparency",
+  eventVisibility: "eventVisibility",
+  eventConference: "eventConference",
   clientId: "clientId",
   clientSecret: "clientSecret",
 };
+/**
+ * Config properties stored as arrays but edited as one value per line.
+ */
+const listFields = new Set(["busyCalendarIds"]);
+
+/**
+ * Converts a stored config value into the text shown in its input.
+ *
+ * @param {string} key - Config property name.
+ * @param {*} value - Stored value.
+ * @returns {string}
+ */
+function toInputValue(key, value) {
+  if (listFields.has(key)) return (value || []).join("\n");
+  return String(value ?? "");
+}
+
+/**
+ * Converts an input's text into the value persisted in the config.
+ * List fields are split by line, trimmed and de-duplicated.
+ *
+ * @param {string} key - Config property name.
+ * @param {string} text - Raw input value.
+ * @returns {*}
+ */
+function fromInputValue(key, text) {
+  if (listFields.has(key)) {
+    const items = text.split("\n").map((line) => line.trim()).filter(Boolean);
+    return [...new Set(items)];
+  }
+  return text;
+}
+
+/**
+ * Weekday labels in display order (Monday first).
+ * index matches Date#getDay() (0 = Sunday).
+ */
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0].map((index) => ({ index, label: t(`weekday${index}`) }));
+
+/**
+ * Builds the weekly schedule rows (checkbox + start/end time per weekday).
+ */
+function renderWeeklySchedule() {
+  const container = document.getElementById("weeklySchedule");
+  if (!container) return;
+
+  WEEKDAYS.forEach(({ index, label }) => {
+    const dayLabel = document.createElement("label");
+    const enabled = document.createElement("input");
+    enabled.type = "checkbox";
+    enabled.id = `day${index}Enabled`;
+    dayLabel.append(enabled, label);
+
+    const start = document.createElement("input");
+    start.type = "time";
+    start.id = `day${index}Start`;
+
+    const end = document.createElement("input");
+    end.type = "time";
+    end.id = `day${index}End`;
+
+    enabled.addEventListener("change", () => {
+      start.disabled = !enabled.checked;
+      end.disabled = !enabled.checked;
+    });
+
+    container.append(dayLabel, start, end);
+  });
+}
+
+/**
+ * Fills the weekly schedule rows from a schedule array.
+ *
+ * @param {Array<{ enabled: boolean, start: string, end: string }>} schedule
+ */
+function setWeeklySchedule(schedule) {
+  WEEKDAYS.forEach(({ index }) => {
+    const day = schedule[index] || DEFAULT_WEEKLY_SCHEDULE[index];
+    const enabled = document.getElementById(`day${index}Enabled`);
+    const start = document.getElementById(`day${index}Start`);
+    const end = document.getElementById(`day${index}End`);
+    if (!enabled) return;
+
+    enabled.checked = day.enabled;
+    start.value = day.start;
+    end.value = day.end;
+    start.disabled = !day.enabled;
+    end.disabled = !day.enabled;
+  });
+}
+
+/**
+ * Reads the weekly schedule rows back into a schedule array (index = weekday).
+ *
+ * @returns {Array<{ enabled: boolean, start: string, end: string }>}
+ */
+function getWeeklySchedule() {
+  const schedule = DEFAULT_WEEKLY_SCHEDULE.map((day) => ({ ...day }));
+
+  WEEKDAYS.forEach(({ index }) => {
+    const enabled = document.getElementById(`day${index}Enabled`);
+    if (!enabled) return;
+
+    schedule[index] = {
+      enabled: enabled.checked,
+      start: document.getElementById(`day${index}Start`).value,
+      end: document.getElementById(`day${index}End`).value,
+    };
+  });
+
+  return schedule;
+}
+
 /**
  * Updates the status message displayed at the bottom of the options page.
  *
@@ -33,43 +192,106 @@ function setStatus(msg) {
   if (el) el.textContent = msg;
 }
 /**
- * Loads configuration values from storage and populates the options UI.
- * If a setting is missing, applies default values for essential fields.
+ * Fills the options inputs from a config.
+ *
+ * @param {Object} cfg - Normalized config (see config.js).
  */
-async function load() {
-  const cfg = await loadConfig();
+function fillConfigInputs(cfg) {
+  Object.entries(fields).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    if (input) input.value = toInputValue(key, cfg[key]);
+  });
+  setWeeklySchedule(cfg.weeklySchedule);
+  syncGoogleCalendarSelect();
+}
 
+/**
+ * Reads the options inputs into a config, as typed (see normalizeConfig).
+ *
+ * @returns {Object}
+ */
+function readConfigInputs() {
+  const config = {};
   Object.entries(fields).forEach(([key, id]) => {
     const input = document.getElementById(id);
+    if (input) config[key] = fromInputValue(key, input.value);
+  });
+  config.weeklySchedule = getWeeklySchedule();
+  return config;
+}
+
+/**
+ * Shows the validation error of each setting under its input (the weekly
+ * schedule error under the schedule), replacing the previous ones.
+ *
+ * @param {Object<string, string>} errors - Output of validateConfig.
+ */
+function showFieldErrors(errors) {
+  document.querySelectorAll(".field-error").forEach((el) => el.remove());
+  document.querySelectorAll(".invalid").forEach((el) => el.classList.remove("invalid"));
+
+  Object.entries(errors).forEach(([key, message]) => {
+    const input = document.getElementById(fields[key] || key);
     if (!input) return;
 
-    if (cfg[key] !== undefined) {
-      input.value = cfg[key];
-    } else {
-      // valores por defecto
-      if (key === "calendarId") input.value = "primary";
-      if (key === "slotMinutes") input.value = "30";
-      if (key === "timezone") input.value = "America/Bogota";
-    }
+    const error = document.createElement("small");
+    error.className = "field-error";
+    error.textContent = message;
+    input.classList.add("invalid");
+    input.insertAdjacentElement("afterend", error);
   });
+}
+
+/**
+ * Loads configuration values from storage and populates the options UI.
+ * Missing settings show their defaults (see DEFAULT_CONFIG).
+ */
+async function load() {
+  fillConfigInputs(await loadConfig());
+  document.getElementById("caldavPassword").value = await loadCaldavPassword();
 
-  setStatus("Configuración cargada.");
+  setStatus(t("optionsLoaded"));
 }
 
 /**
  * Reads values from all inputs and persists them using saveConfig().
- * Displays a confirmation message when completed.
+ * Displays a confirmation message when completed, or marks the invalid
+ * fields without saving.
  */
 async function save() {
-  const newConfig = {};
+  // Debe pedirse antes de cualquier await, mientras dura el gesto del usuario
+  const permissionGranted =
+    document.getElementById("calendarProvider").value === "caldav"
+      ? requestCaldavPermission()
+      : Promise.resolve(true);
 
-  Object.entries(fields).forEach(([key, id]) => {
-    const input = document.getElementById(id);
-    if (input) newConfig[key] = input.value;
-  });
+  const newConfig = normalizeConfig(readConfigInputs());
+  const errors = validateConfig(newConfig);
+  const calendarError = validateGoogleCalendarId(newConfig);
+  if (calendarError && !errors.calendarId) errors.calendarId = calendarError;
+
+  showFieldErrors(errors);
+  if (Object.keys(errors).length) {
+    setStatus(t("optionsInvalidFields"));
+    return;
+  }
 
-  await saveConfig(newConfig);
-  setStatus("Configuración guardada ✔️");
+  try {
+    await saveConfig(newConfig);
+  } catch (err) {
+    setStatus(err.message);
+    return;
+  }
+  await saveCaldavPassword(document.getElementById("caldavPassword").value);
+  // Las alarmas de los planes dependen de la zona horaria
+  await syncPlanAlarms();
+  chrome.runtime.sendMessage({ type: "SYNC_REFLOW" });
+
+  if (!(await permissionGranted)) {
+    setStatus(t("optionsSavedNoCaldavPermission"));
+    return;
+  }
+  setStatus(t("optionsSaved"));
 }
 
 /**
@@ -77,26 +299,612 @@ async function save() {
  * Does NOT automatically persist changes — user must click "Guardar".
  */
 function reset() {
-  Object.entries(fields).forEach(([key, id]) => {
-    const input = document.getElementById(id);
-    if (!input) return;
+  fillConfigInputs(DEFAULT_CONFIG);
+  document.getElementById("caldavPassword").value = "";
+  showFieldErrors({});
+  setStatus(t("optionsReset"));
+}
+
+// ---------------- Exportar / importar ----------------
+
+/**
+ * Downloads the saved configuration as a JSON file. The CalDAV password and
+ * the OAuth client secret are not included: they never leave this browser.
+ */
+async function exportConfig() {
+  const json = buildConfigExport(await loadConfig());
+  const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `calendar-scheduler-config-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  setStatus(t("optionsExported"));
+}
+
+/**
+ * Imports the configuration file chosen in the file input: it is migrated,
+ * validated and saved, then shown in the page. The stored OAuth client
+ * secret is kept. An invalid file changes nothing.
+ *
+ * @param {Event} e - Change event of the file input.
+ */
+async function importConfig(e) {
+  const [file] = e.target.files || [];
+  e.target.value = "";
+  if (!file) return;
+
+  let config;
+  try {
+    config = parseConfigExport(await file.text(), await loadConfig());
+  } catch (err) {
+    showFieldErrors(err.errors || {});
+    setStatus(t("optionsImportFailed", [file.name, err.message]));
+    return;
+  }
+
+  try {
+    await saveConfig(config);
+  } catch (err) {
+    setStatus(t("optionsImportFailed", [file.name, err.message]));
+    return;
+  }
+  fillConfigInputs(config);
+  showFieldErrors({});
+  await syncPlanAlarms();
+  chrome.runtime.sendMessage({ type: "SYNC_REFLOW" });
+  setStatus(t("optionsImported", file.name));
+}
+
+/**
+ * Shows the result of the last automatic reflow.
+ */
+async function renderLastReflow() {
+  const el = document.getElementById("lastReflow");
+  if (!el) return;
+
+  const lastReflow = await loadLastReflow();
+  if (!lastReflow) {
+    el.textContent = t("reflowNeverRun");
+    return;
+  }
+
+  el.textContent = t("reflowLastRun", [formatDateTime(lastReflow.at), lastReflow.message]);
+  el.className = lastReflow.success ? "" : "error";
+}
+
+/**
+ * Deletes every event of the local (offline) calendar after confirmation.
+ */
+async function clearLocalCalendar() {
+  const events = await loadLocalEvents();
+  if (!events.length) {
+    setStatus(t("localCalendarAlreadyEmpty"));
+    return;
+  }
+  if (!confirm(t("localCalendarConfirmClear", events.length))) return;
+
+  await saveLocalEvents([]);
+  setStatus(t("localCalendarCleared"));
+}
+
+// ---------------- Calendarios de Google ----------------
+
+/**
+ * Writable calendars of the Google account, once loaded (null before).
+ * @type {Array<{ id: string; summary: string; primary: boolean; accessRole: string; backgroundColor: string }> | null}
+ */
+let googleCalendars = null;
+
+/**
+ * Selects in the Google calendar dropdown the calendar typed in the
+ * Calendar ID field ("primary" = the primary calendar), or the empty
+ * option if it is not in the list.
+ */
+function syncGoogleCalendarSelect() {
+  const select = document.getElementById("googleCalendarSelect");
+  if (!select || !googleCalendars) return;
+
+  const calendarId = document.getElementById("calendarId").value.trim() || "primary";
+  const match = googleCalendars.find((calendar) =>
+    calendarId === "primary" ? calendar.primary : calendar.id === calendarId
+  );
+  select.value = match ? match.id : "";
+}
+
+/**
+ * Fills the Google calendar dropdown.
+ *
+ * @param {Array<Object>} calendars - Output of LIST_GOOGLE_CALENDARS.
+ */
+function renderGoogleCalendars(calendars) {
+  const select = document.getElementById("googleCalendarSelect");
+  if (!select) return;
+  select.textContent = "";
+
+  const manual = document.createElement("option");
+  manual.value = "";
+  manual.textContent = t("googleCalendarManual");
+  select.appendChild(manual);
+
+  calendars.forEach((calendar) => {
+    const option = document.createElement("option");
+    option.value = calendar.id;
+    option.textContent = calendar.primary ? t("googleCalendarPrimary", calendar.summary) : calendar.summary;
+    select.appendChild(option);
+  });
+
+  select.disabled = false;
+  syncGoogleCalendarSelect();
+}
+
+/**
+ * Copies the calendar chosen in the dropdown into the Calendar ID field.
+ * The primary calendar is stored as "primary".
+ */
+function pickGoogleCalendar() {
+  const id = document.getElementById("googleCalendarSelect").value;
+  if (!id) return;
+
+  const calendar = googleCalendars.find((c) => c.id === id);
+  document.getElementById("calendarId").value = calendar.primary ? "primary" : calendar.id;
+  setStatus(t("calendarSelected", calendar.summary));
+}
+
+/**
+ * Loads the writable calendars of the connected Google account through
+ * the background.
+ *
+ * @param {{ quiet?: boolean }} [options]
+ *   quiet: do not report errors (used on page load, when the user may not
+ *   be connected to Google).
+ * @returns {Promise<void>}
+ */
+function loadGoogleCalendars({ quiet = false } = {}) {
+  if (!quiet) setStatus(t("googleCalendarsLoading"));
+
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "LIST_GOOGLE_CALENDARS" }, (response) => {
+      if (response?.success) {
+        googleCalendars = response.calendars;
+        renderGoogleCalendars(googleCalendars);
+        if (!quiet) setStatus(t("googleCalendarsLoaded", googleCalendars.length));
+      } else if (!quiet) {
+        setStatus(t("statusError", response?.error || t("errorListCalendars")));
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Returns an error message if Google is the provider and the Calendar ID is
+ * not one of the writable calendars loaded from the account, or null if it
+ * is valid (or the list was not loaded, so it cannot be checked).
+ *
+ * @param {{ calendarProvider: string; calendarId: string }} config
+ * @returns {string | null}
+ */
+function validateGoogleCalendarId({ calendarProvider, calendarId }) {
+  if (calendarProvider !== "google" || !googleCalendars) return null;
+
+  const id = calendarId.trim() || "primary";
+  if (id === "primary" || googleCalendars.some((calendar) => calendar.id === id)) return null;
+  return t("errorGoogleCalendarNotWritable", id);
+}
+
+// ---------------- Servidor CalDAV ----------------
+
+/**
+ * Asks for access to the origin of the CalDAV server URL typed in the page
+ * (optional_host_permissions). Must be called while handling a click.
+ *
+ * @returns {Promise<boolean>} True if granted (or no valid URL to ask for).
+ */
+function requestCaldavPermission() {
+  let origin;
+  try {
+    origin = new URL(document.getElementById("caldavServerUrl").value.trim()).origin;
+  } catch {
+    return Promise.resolve(true);
+  }
+  return chrome.permissions.request({ origins: [`${origin}/*`] });
+}
+
+/**
+ * Renders the calendars found on the CalDAV server. "Usar" copies the
+ * calendar URL into the Calendar ID field.
+ *
+ * @param {Array<{ url: string; name: string; color: string }>} calendars
+ */
+function renderCaldavCalendars(calendars) {
+  const list = document.getElementById("caldavCalendarList");
+  if (!list) return;
+  list.textContent = "";
+
+  calendars.forEach((calendar) => {
+    const item = document.createElement("div");
+    item.className = "plan-item";
+
+    const info = document.createElement("div");
+    info.className = "plan-info";
+    info.textContent = calendar.name;
+    if (calendar.color) info.style.borderLeft = `4px solid ${calendar.color.slice(0, 7)}`;
+
+    const details = document.createElement("small");
+    details.textContent = calendar.url;
+    info.appendChild(details);
+
+    const btnUse = document.createElement("button");
+    btnUse.type = "button";
+    btnUse.textContent = t("buttonUse");
+    btnUse.addEventListener("click", () => {
+      document.getElementById("calendarId").value = calendar.url;
+      setStatus(t("calendarSelected", calendar.name));
+    });
+
+    item.append(info, btnUse);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Saves the CalDAV account typed in the page and lists its calendars
+ * through the background.
+ */
+async function discoverCaldavCalendars() {
+  const granted = await requestCaldavPermission();
+  if (!granted) {
+    setStatus(t("errorCaldavPermission"));
+    return;
+  }
+
+  const cfg = await loadConfig();
+  try {
+    await saveConfig({
+      ...cfg,
+      caldavServerUrl: document.getElementById("caldavServerUrl").value,
+      caldavUsername: document.getElementById("caldavUsername").value,
+    });
+  } catch (err) {
+    showFieldErrors(err.errors || {});
+    setStatus(err.message);
+    return;
+  }
+  await saveCaldavPassword(document.getElementById("caldavPassword").value);
+
+  setStatus(t("caldavDiscovering"));
+  chrome.runtime.sendMessage({ type: "DISCOVER_CALDAV" }, (response) => {
+    if (response?.success) {
+      renderCaldavCalendars(response.calendars);
+      setStatus(t("caldavDiscovered", response.calendars.length));
+    } else {
+      renderCaldavCalendars([]);
+      setStatus(t("statusError", response?.error || t("errorListCalendars")));
+    }
+  });
+}
+
+// ---------------- Calendarios .ics importados ----------------
+
+/**
+ * Renders the list of imported .ics calendars.
+ *
+ * @param {Array<{ id: string; name: string; importedAt: string; events: Array<Object> }>} calendars
+ */
+function renderImportedCalendars(calendars) {
+  const list = document.getElementById("importedCalendarList");
+  if (!list) return;
+  list.textContent = "";
+
+  if (!calendars.length) {
+    list.textContent = t("importedCalendarsEmpty");
+    return;
+  }
+
+  calendars.forEach((calendar) => {
+    const item = document.createElement("div");
+    item.className = "plan-item";
+
+    const info = document.createElement("div");
+    info.className = "plan-info";
+    info.textContent = calendar.name;
+
+    const details = document.createElement("small");
+    details.textContent = t("importedCalendarDetails", [
+      calendar.events.length,
+      formatDateTime(calendar.importedAt),
+    ]);
+    info.appendChild(details);
+
+    const btnDelete = document.createElement("button");
+    btnDelete.type = "button";
+    btnDelete.textContent = t("buttonDelete");
+    btnDelete.addEventListener("click", () => removeImportedCalendar(calendar.id));
+
+    item.append(info, btnDelete);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Reloads the imported calendars from storage and re-renders the list.
+ */
+async function refreshImportedCalendars() {
+  renderImportedCalendars(await loadImportedCalendars());
+}
+
+/**
+ * Parses and stores the .ics files chosen in the file input.
+ * A file that cannot be parsed is reported without stopping the others.
+ *
+ * @param {Event} e - Change event of the file input.
+ */
+async function importIcsFiles(e) {
+  const files = Array.from(e.target.files || []);
+  const messages = [];
+
+  for (const file of files) {
+    try {
+      const events = parseIcs(await file.text());
+      await addImportedCalendar({ name: file.name, events });
+      messages.push(t("icsImportedFile", [file.name, events.length]));
+    } catch (err) {
+      messages.push(`${file.name}: ${err.message}`);
+    }
+  }
+
+  e.target.value = "";
+  await refreshImportedCalendars();
+  setStatus(t("icsImportResult", messages.join(" · ")));
+}
+
+/**
+ * Deletes an imported calendar.
+ *
+ * @param {string} id
+ */
+async function removeImportedCalendar(id) {
+  await deleteImportedCalendar(id);
+  await refreshImportedCalendars();
+  setStatus(t("importedCalendarDeleted"));
+}
 
-    if (key === "calendarId") input.value = "primary";
-    else if (key === "slotMinutes") input.value = "30";
-    else if (key === "timezone") input.value = "America/Bogota";
-    else input.value = "";
+// ---------------- Planes recurrentes ----------------
+
+/**
+ * Default values for a new recurring plan in the form.
+ */
+const PLAN_DEFAULTS = {
+  id: "",
+  name: "",
+  enabled: true,
+  weekday: 0,
+  time: "20:00",
+  eventName: "",
+  eventColor: "1",
+  requiredHours: "",
+  range: "nextWeek",
+  days: 7,
+};
+
+/**
+ * Fills the plan form with a plan (or the defaults for a new one).
+ *
+ * @param {Object} plan
+ */
+function fillPlanForm(plan) {
+  document.getElementById("planId").value = plan.id;
+  document.getElementById("planName").value = plan.name;
+  document.getElementById("planEnabled").checked = plan.enabled;
+  document.getElementById("planWeekday").value = String(plan.weekday);
+  document.getElementById("planTime").value = plan.time;
+  document.getElementById("planEventName").value = plan.eventName;
+  document.getElementById("planEventColor").value = plan.eventColor;
+  document.getElementById("planRequiredHours").value = plan.requiredHours;
+  document.getElementById("planRange").value = plan.range;
+  document.getElementById("planDays").value = plan.days;
+}
+
+/**
+ * Reads the plan form into a plan object. A new ID is generated for new plans.
+ *
+ * @returns {Object}
+ */
+function readPlanForm() {
+  return {
+    id: document.getElementById("planId").value || crypto.randomUUID(),
+    name: document.getElementById("planName").value.trim(),
+    enabled: document.getElementById("planEnabled").checked,
+    weekday: Number(document.getElementById("planWeekday").value),
+    time: document.getElementById("planTime").value,
+    eventName: document.getElementById("planEventName").value.trim(),
+    eventColor: document.getElementById("planEventColor").value,
+    requiredHours: document.getElementById("planRequiredHours").value,
+    range: document.getElementById("planRange").value,
+    days: parseInt(document.getElementById("planDays").value, 10) || 1,
+  };
+}
+
+/**
+ * Returns a one-line, human readable description of when and what a plan books.
+ *
+ * @param {Object} plan
+ * @returns {string}
+ */
+function describePlan(plan) {
+  const weekday = WEEKDAYS.find(({ index }) => index === Number(plan.weekday));
+  const range = plan.range === "nextDays" ? t("planRangeNextDays", plan.days) : t("planRangeNextWeek");
+  const hours = plan.requiredHours ? `${plan.requiredHours} h` : t("planAllFreeTime");
+  return `${weekday?.label || "?"} ${plan.time} · ${plan.eventName} · ${hours} · ${range}` +
+    (plan.enabled ? "" : ` · ${t("planInactive")}`);
+}
+
+/**
+ * Renders the list of saved plans with their last run status.
+ *
+ * @param {Array<Object>} plans
+ */
+function renderPlans(plans) {
+  const list = document.getElementById("planList");
+  if (!list) return;
+  list.textContent = "";
+
+  if (!plans.length) {
+    list.textContent = t("plansEmpty");
+    return;
+  }
+
+  plans.forEach((plan) => {
+    const item = document.createElement("div");
+    item.className = "plan-item";
+
+    const info = document.createElement("div");
+    info.className = "plan-info";
+    info.textContent = plan.name || plan.eventName;
+
+    const details = document.createElement("small");
+    details.textContent = describePlan(plan);
+    info.appendChild(details);
+
+    const status = document.createElement("small");
+    if (plan.lastRun) {
+      status.textContent = t("planLastRun", [formatDateTime(plan.lastRun.at), plan.lastRun.message]);
+      if (!plan.lastRun.success) status.className = "error";
+    } else {
+      status.textContent = t("planNeverRun");
+    }
+    info.appendChild(status);
+
+    const btnEdit = document.createElement("button");
+    btnEdit.type = "button";
+    btnEdit.textContent = t("buttonEdit");
+    btnEdit.addEventListener("click", () => fillPlanForm({ ...PLAN_DEFAULTS, ...plan }));
+
+    const btnRun = document.createElement("button");
+    btnRun.type = "button";
+    btnRun.textContent = t("buttonRunNow");
+    btnRun.addEventListener("click", () => runPlanNow(plan.id));
+
+    const btnDelete = document.createElement("button");
+    btnDelete.type = "button";
+    btnDelete.textContent = t("buttonDelete");
+    btnDelete.addEventListener("click", () => removePlan(plan.id));
+
+    item.append(info, btnEdit, btnRun, btnDelete);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Reloads the plans from storage and re-renders the list.
+ */
+async function refreshPlans() {
+  renderPlans(await loadPlans());
+}
+
+/**
+ * Asks the background to recompute the plan alarms (after the plans or
+ * the time zone changed).
+ *
+ * @returns {Promise<void>}
+ */
+function syncPlanAlarms() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "SYNC_PLANS" }, () => resolve());
+  });
+}
+
+/**
+ * Validates and stores the plan currently in the form.
+ */
+async function savePlan() {
+  const plan = readPlanForm();
+
+  if (!plan.eventName) {
+    setStatus(t("planEventNameMissing"));
+    return;
+  }
+  if (!plan.time) {
+    setStatus(t("planTimeMissing"));
+    return;
+  }
+  if (plan.requiredHours !== "" && !(Number(plan.requiredHours) > 0)) {
+    setStatus(t("planRequiredHoursInvalid"));
+    return;
+  }
+
+  await upsertPlan(plan);
+  await syncPlanAlarms();
+  fillPlanForm(PLAN_DEFAULTS);
+  await refreshPlans();
+  setStatus(t("planSaved", plan.name || plan.eventName));
+}
+
+/**
+ * Deletes a plan and its alarm.
+ *
+ * @param {string} planId
+ */
+async function removePlan(planId) {
+  await deletePlan(planId);
+  await syncPlanAlarms();
+  await refreshPlans();
+  setStatus(t("planDeleted"));
+}
+
+/**
+ * Executes a plan immediately through the background and shows the result.
+ *
+ * @param {string} planId
+ */
+function runPlanNow(planId) {
+  setStatus(t("planRunning"));
+  chrome.runtime.sendMessage({ type: "RUN_PLAN", planId }, (response) => {
+    if (response?.success) {
+      setStatus(response.message || t("planRan"));
+    } else {
+      setStatus(t("statusError", response?.error || t("errorRunPlan")));
+    }
+    refreshPlans();
   });
-  setStatus("Valores restablecidos (no olvides guardar).");
 }
 
 /**
  * Initializes the page:
+ * - Localizes the page and builds the weekly schedule rows.
  * - Loads existing configuration.
- * - Attaches event listeners for Save and Reset buttons.
+ * - Loads the recurring plans.
+ * - Loads the Google calendar list when Google is the provider.
+ * - Attaches event listeners for Save, Reset and plan buttons.
  */
 document.addEventListener("DOMContentLoaded", () => {
-  load();
+  localizePage();
+  renderWeeklySchedule();
+  load().then(() => {
+    if (document.getElementById("calendarProvider").value === "google") {
+      loadGoogleCalendars({ quiet: true });
+    }
+  });
+  fillPlanForm(PLAN_DEFAULTS);
+  refreshPlans();
+  renderLastReflow();
+  refreshImportedCalendars();
 
   document.getElementById("save").addEventListener("click", save);
   document.getElementById("reset").addEventListener("click", reset);
+  document.getElementById("savePlan").addEventListener("click", savePlan);
+  document.getElementById("icsFiles").addEventListener("change", importIcsFiles);
+  document.getElementById("clearLocalCalendar").addEventListener("click", clearLocalCalendar);
+  document.getElementById("discoverCaldav").addEventListener("click", discoverCaldavCalendars);
+  document.getElementById("exportConfig").addEventListener("click", exportConfig);
+  document.getElementById("importConfig").addEventListener("change", importConfig);
+  document.getElementById("loadGoogleCalendars").addEventListener("click", () => loadGoogleCalendars());
+  document.getElementById("googleCalendarSelect").addEventListener("change", pickGoogleCalendar);
+  document.getElementById("calendarId").addEventListener("input", syncGoogleCalendarSelect);
+  document
+    .getElementById("newPlan")
+    .addEventListener("click", () => fillPlanForm(PLAN_DEFAULTS));
 });
@@ -1,4 +1,5 @@
 // src/popup/popup.js
+import { formatDate, formatDateTime, formatTime, localizePage, t } from "../lib/i18n.js";
 
 /**
  * Updates the status message displayed in the popup.
@@ -8,12 +9,75 @@ function setStatus(msg) {
   document.getElementById("status").textContent = msg;
 }
 
+/**
+ * Shows a failed background response in the status box. When the Google
+ * session is no longer valid (errorCode "auth"), the run buttons stay
+ * disabled and the connect button gets the focus until the user reconnects.
+ * @param {{ error?: string, errorCode?: string } | undefined} response
+ * @param {string} fallbackKey - Message shown when the response has no error.
+ */
+function setErrorStatus(response, fallbackKey) {
+  setStatus(t("statusError", response?.error || t(fallbackKey)));
+  if (response?.errorCode === "auth") {
+    disableRun(true);
+    document.getElementById("btnConnect").focus();
+  }
+}
+
 /**
  * Enables or disables the scheduler execution button.
  * @param {boolean} disabled
  */
 function disableRun(disabled) {
   document.getElementById("btnRunScheduler").disabled = disabled;
+  document.getElementById("btnPreviewScheduler").disabled = disabled;
+  document.getElementById("btnRunQueue").disabled = disabled;
+  document.getElementById("btnPreviewQueue").disabled = disabled;
+  document.getElementById("btnReflow").disabled = disabled;
+}
+
+/**
+ * Asks the background whether the configured calendar provider is usable,
+ * then shows the result and enables or disables the run buttons.
+ * @returns {Promise<void>} Resolves once the status has been updated.
+ */
+function checkAuth() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: "CHECK_AUTH" }, (response) => {
+      if (response?.isAuthenticated) {
+        setStatus(
+          response.provider === "local"
+            ? t("statusUsingLocal")
+            : response.provider === "caldav"
+              ? t("statusUsingCaldav")
+              : t("statusConnectedGoogle")
+        );
+        disableRun(false);
+      } else if (response?.provider === "caldav") {
+        setStatus(t("statusCaldavNotConfigured"));
+        disableRun(true);
+      } else {
+        setStatus(t("statusConnectGoogle"));
+        disableRun(true);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Shows the email of the connected Google account with the disconnect and
+ * switch account buttons, or the connect button when there is no session.
+ */
+function loadAccount() {
+  chrome.runtime.sendMessage({ type: "GET_ACCOUNT" }, (response) => {
+    const account = response?.success ? response.account : null;
+    document.getElementById("accountInfo").hidden = !account;
+    document.getElementById("btnConnect").hidden = Boolean(account);
+    document.getElementById("accountEmail").textContent = account
+      ? t("popupAccountConnected", account.email)
+      : "";
+  });
 }
 
 // Cargar y guardar datos del formulario -------------------
@@ -24,6 +88,48 @@ function disableRun(disabled) {
    inputs persist between openings of the popup UI.
    ============================================================================ */
 
+/**
+ * Reads the current popup form fields.
+ * @returns {Object} Values stored as "popupForm" and in presets.
+ */
+function readFormValues() {
+  return {
+    eventName: document.getElementById("eventName").value,
+    eventColor: document.getElementById("eventColor").value,
+    taskStartDateTime: document.getElementById("taskStartDateTime").value,
+    taskEndDateTime: document.getElementById("taskEndDateTime").value,
+    requiredHours: document.getElementById("requiredHours").value,
+    workdayStart: document.getElementById("workdayStart").value,
+    workdayEnd: document.getElementById("workdayEnd").value,
+    useCustomWorkday: document.getElementById("useCustomWorkday").checked,
+  };
+}
+
+/**
+ * Fills the popup form fields, using the defaults for missing values.
+ * @param {Object} form - Output of readFormValues.
+ */
+function applyFormValues(form) {
+  document.getElementById("eventName").value = form.eventName || "";
+  document.getElementById("eventColor").value = form.eventColor || "1";
+
+  document.getElementById("taskStartDateTime").value =
+    form.taskStartDateTime || "";
+  document.getElementById("taskEndDateTime").value =
+    form.taskEndDateTime || "";
+  document.getElementById("requiredHours").value =
+    form.requiredHours || "";
+
+  document.getElementById("workdayStart").value =
+    form.workdayStart || "07:00";
+  document.getElementById("workdayEnd").value =
+    form.workdayEnd || "17:00";
+  document.getElementById("useCustomWorkday").checked =
+    Boolean(form.useCustomWorkday);
+  toggleCustomWorkday();
+  updateColorSwatches();
+}
+
 /**
  * Loads saved popup form values from chrome.storage.local and populates
  * the corresponding input fields.
@@ -31,21 +137,7 @@ function disableRun(disabled) {
 async function loadFormValues() {
   return new Promise((resolve) => {
     chrome.storage.local.get("popupForm", (data) => {
-      const form = data.popupForm || {};
-
-      document.getElementById("eventName").value = form.eventName || "";
-      document.getElementById("eventColor").value = form.eventColor || "1";
-
-      document.getElementById("taskStartDateTime").value =
-        form.taskStartDateTime || "";
-      document.getElementById("taskEndDateTime").value =
-        form.taskEndDateTime || "";
-
-      document.getElementById("workdayStart").value =
-        form.workdayStart || "07:00";
-      document.getElementById("workdayEnd").value =
-        form.workdayEnd || "17:00";
-
+      applyFormValues(data.popupForm || {});
       resolve();
     });
   });
@@ -56,16 +148,93 @@ async function loadFormValues() {
  * the popup state persists automatically.
  */
 function saveFormValues() {
-  const popupForm = {
-    eventName: document.getElementById("eventName").value,
-    eventColor: document.getElementById("eventColor").value,
-    taskStartDateTime: document.getElementById("taskStartDateTime").value,
-    taskEndDateTime: document.getElementById("taskEndDateTime").value,
-    workdayStart: document.getElementById("workdayStart").value,
-    workdayEnd: document.getElementById("workdayEnd").value,
-  };
+  chrome.storage.local.set({ popupForm: readFormValues() });
+}
+
+/**
+ * Enables the workday inputs only when the popup override is active;
+ * otherwise the weekly schedule from the options page applies.
+ */
+function toggleCustomWorkday() {
+  const enabled = document.getElementById("useCustomWorkday").checked;
+  document.getElementById("workdayStart").disabled = !enabled;
+  document.getElementById("workdayEnd").disabled = !enabled;
+}
+
+// Colores de evento --------------------------------------
+/* ============================================================================
+   Event Color Palette
+   ----------------------------------------------------------------------------
+   The color selects start with the fixed list of Google colorIds. When the
+   background knows the real palette (GET_EVENT_COLORS, cached from the
+   Calendar API), every option is painted with its color and a swatch shows
+   the selected one.
+   ============================================================================ */
+
+/**
+ * Google event colors keyed by colorId, or null while unknown.
+ * @type {Object<string, { background: string, foreground: string }> | null}
+ */
+let eventColors = null;
+
+/** Color selects of the popup and the swatch shown next to each one. */
+const COLOR_SELECTS = [
+  { selectId: "eventColor", swatchId: "eventColorSwatch" },
+  { selectId: "queueTaskColor", swatchId: "queueTaskColorSwatch" },
+];
+
+/**
+ * Shows the color selected in each color select next to it.
+ */
+function updateColorSwatches() {
+  COLOR_SELECTS.forEach(({ selectId, swatchId }) => {
+    const color = eventColors?.[document.getElementById(selectId).value];
+    const swatch = document.getElementById(swatchId);
+    swatch.hidden = !color;
+    swatch.style.background = color ? color.background : "";
+  });
+}
 
-  chrome.storage.local.set({ popupForm });
+/**
+ * Paints the options of the color selects with the palette. ColorIds of the
+ * palette missing from the fixed list are appended.
+ */
+function applyEventColors() {
+  if (!eventColors) return;
+
+  COLOR_SELECTS.forEach(({ selectId }) => {
+    const select = document.getElementById(selectId);
+    const known = new Set(Array.from(select.options).map((opt) => opt.value));
+
+    Object.keys(eventColors)
+      .filter((colorId) => !known.has(colorId))
+      .sort((a, b) => Number(a) - Number(b))
+      .forEach((colorId) => {
+        const option = document.createElement("option");
+        option.value = colorId;
+        option.textContent = colorId;
+        select.appendChild(option);
+      });
+
+    Array.from(select.options).forEach((option) => {
+      const color = eventColors[option.value];
+      option.style.backgroundColor = color ? color.background : "";
+      option.style.color = color ? color.foreground : "";
+    });
+  });
+
+  updateColorSwatches();
+}
+
+/**
+ * Requests the event color palette from the background and applies it.
+ */
+function loadEventColors() {
+  chrome.runtime.sendMessage({ type: "GET_EVENT_COLORS" }, (response) => {
+    if (!response?.success || !response.colors) return;
+    eventColors = response.colors;
+    applyEventColors();
+  });
 }
 
 /**
@@ -80,92 +249,887 @@ function splitDateTime(value) {
   return { date, time };
 }
 
+/**
+ * Reads the popup form and builds the payload expected by the background
+ * scheduler (RUN_SCHEDULER / PREVIEW_SCHEDULER).
+ * The workday hours are only sent when the override checkbox is active.
+ * @returns {Object}
+ */
+function buildPayload() {
+  const eventName = document.getElementById("eventName").value;
+  const eventColor = document.getElementById("eventColor").value;
+  const useCustomWorkday = document.getElementById("useCustomWorkday").checked;
+  const workdayStart = useCustomWorkday
+    ? document.getElementById("workdayStart").value
+    : "";
+  const workdayEnd = useCustomWorkday
+    ? document.getElementById("workdayEnd").value
+    : "";
+
+  const startDT = document.getElementById("taskStartDateTime").value;
+  const endDT = document.getElementById("taskEndDateTime").value;
+  const requiredHours = document.getElementById("requiredHours").value;
+
+  const { date: dateStart, time: taskStart } = splitDateTime(startDT);
+  const { date: dateEnd, time: taskEnd } = splitDateTime(endDT);
+
+  return {
+    eventName,
+    eventColor,
+    dateStart,
+    dateEnd,
+    workdayStart,
+    workdayEnd,
+    taskStart,
+    taskEnd,
+    requiredHours,
+  };
+}
+
+// Previsualización ----------------------------------------
+/* ============================================================================
+   Dry-run Preview
+   ----------------------------------------------------------------------------
+   PREVIEW_SCHEDULER / PREVIEW_TASK_QUEUE return the per-day plan without
+   touching the calendar. The popup lists every proposed block with a
+   checkbox; only the checked ones are sent back to RUN_SCHEDULER /
+   RUN_TASK_QUEUE as selectedSlots.
+   ============================================================================ */
+
+/**
+ * Run message type and payload of the last preview, so the confirmation
+ * creates exactly what was previewed even if the form changes meanwhile.
+ * @type {{ runType: string, payload: Object } | null}
+ */
+let preview = null;
+
+/**
+ * Renders the serialized plan returned by a preview message.
+ * @param {{ timeZone: string, days: Array<Object> }} plan
+ */
+function renderPreview(plan) {
+  const list = document.getElementById("previewList");
+  list.textContent = "";
+
+  plan.days.forEach((day) => {
+    const dayEl = document.createElement("div");
+    dayEl.className = "preview-day" + (day.skipped ? " skipped" : "");
+
+    const header = document.createElement("div");
+    header.className = "preview-day-header";
+    header.textContent = formatDate(day.date);
+
+    const info = document.createElement("small");
+    info.textContent = day.skipped
+      ? t("previewDaySkipped", day.reason || t("previewNoValidHours"))
+      : t("previewDaySummary", [day.slots.length, day.totalFree, day.totalSlots, day.busy.length]) +
+        (day.existing ? ` · ${t("previewDayExisting", day.existing)}` : "");
+    header.appendChild(info);
+    dayEl.appendChild(header);
+
+    day.slots.forEach((slot) => {
+      const label = document.createElement("label");
+      label.className = "preview-slot";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = true;
+      checkbox.dataset.start = slot.start;
+      checkbox.dataset.end = slot.end;
+      if (slot.summary) checkbox.dataset.summary = slot.summary;
+      if (slot.colorId) checkbox.dataset.colorId = slot.colorId;
+
+      label.appendChild(checkbox);
+      label.append(
+        `${formatTime(slot.start, plan.timeZone)} – ${formatTime(slot.end, plan.timeZone)}` +
+          (slot.summary ? ` · ${slot.summary}` : "")
+      );
+      dayEl.appendChild(label);
+    });
+
+    list.appendChild(dayEl);
+  });
+
+  document.getElementById("previewSection").hidden = false;
+}
+
+/**
+ * Hides the preview and forgets the previewed payload.
+ */
+function clearPreview() {
+  preview = null;
+  document.getElementById("previewList").textContent = "";
+  document.getElementById("previewSection").hidden = true;
+}
+
+/**
+ * Returns the slots currently checked in the preview list.
+ * @returns {Array<{ start: string, end: string, summary?: string, colorId?: string }>}
+ */
+function getSelectedSlots() {
+  return Array.from(
+    document.querySelectorAll("#previewList input[type=checkbox]:checked")
+  ).map((el) => ({
+    start: el.dataset.start,
+    end: el.dataset.end,
+    summary: el.dataset.summary,
+    colorId: el.dataset.colorId,
+  }));
+}
+
+/**
+ * Requests a dry-run plan and renders it.
+ * @param {string} previewType - "PREVIEW_SCHEDULER" or "PREVIEW_TASK_QUEUE".
+ * @param {string} runType - Message used later to confirm the selection.
+ * @param {Object} payload
+ */
+function requestPreview(previewType, runType, payload) {
+  setStatus(t("statusPreviewing"));
+  clearPreview();
+
+  chrome.runtime.sendMessage({ type: previewType, payload }, (response) => {
+    if (response?.success) {
+      preview = { runType, payload };
+      renderPreview(response.plan);
+      setStatus(response.message || t("statusPreviewReady"));
+    } else {
+      setErrorStatus(response, "errorPreview");
+    }
+  });
+}
+
+// Ejecución con progreso --------------------------------
+/** Port of the run in progress (see runScheduler), or null. */
+let runPort = null;
+
+/**
+ * Shows or hides the progress box of the run in progress.
+ * @param {boolean} visible
+ */
+function showRunProgress(visible) {
+  document.getElementById("runProgress").hidden = !visible;
+  document.getElementById("btnCancelRun").disabled = false;
+  document.getElementById("runProgressBar").value = 0;
+  document.getElementById("runProgressText").textContent = "";
+}
+
+/**
+ * Renders a progress update streamed by the background.
+ * @param {Object} progress - "planning" (one per day) or "creating" (one per event).
+ */
+function renderRunProgress(progress) {
+  const bar = document.getElementById("runProgressBar");
+  const text = document.getElementById("runProgressText");
+
+  if (progress.stage === "planning") {
+    bar.value = progress.dayIndex / progress.totalDays;
+    text.textContent = progress.skipped
+      ? t("progressDaySkipped", [formatDate(progress.date), progress.dayIndex, progress.totalDays])
+      : t("progressDay", [
+          formatDate(progress.date),
+          progress.dayIndex,
+          progress.totalDays,
+          progress.free,
+          progress.slots,
+          progress.planned,
+        ]);
+    return;
+  }
+
+  const done = progress.created + progress.failed;
+  bar.value = progress.total ? done / progress.total : 1;
+  text.textContent =
+    t("progressEvents", [progress.created, progress.total]) +
+    (progress.failed ? ` · ${t("progressFailed", progress.failed)}` : "") +
+    (progress.error ? ` · ${t("progressLastError", progress.error)}` : "");
+}
+
+/**
+ * Starts a run (RUN_SCHEDULER / RUN_TASK_QUEUE) over a "scheduler-run" port,
+ * shows its progress and reports the outcome in the status box.
+ * If the popup closes, the run keeps going in the background.
+ * @param {string} runType
+ * @param {Object} payload
+ */
+function runScheduler(runType, payload) {
+  setStatus(t("statusRunning"));
+  disableRun(true);
+  showRunProgress(true);
+
+  const port = chrome.runtime.connect({ name: "scheduler-run" });
+  runPort = port;
+
+  port.onMessage.addListener((message) => {
+    if (message.type === "PROGRESS") {
+      renderRunProgress(message.progress);
+      return;
+    }
+    if (message.type !== "RESULT") return;
+
+    port.disconnect();
+    runPort = null;
+    showRunProgress(false);
+    disableRun(false);
+    if (message.success) {
+      setStatus(message.message || t("statusRunDone"));
+    } else {
+      setErrorStatus(message, "errorRun");
+    }
+    loadHistory();
+  });
+
+  // El service worker se detuvo antes de terminar
+  port.onDisconnect.addListener(() => {
+    if (runPort !== port) return;
+    runPort = null;
+    showRunProgress(false);
+    disableRun(false);
+    setStatus(t("statusRunDisconnected"));
+    loadHistory();
+  });
+
+  port.postMessage({ type: runType, payload });
+}
+
+/**
+ * Asks the background to stop the run in progress before its next event.
+ */
+function cancelRun() {
+  if (!runPort) return;
+  runPort.postMessage({ type: "CANCEL" });
+  document.getElementById("btnCancelRun").disabled = true;
+  setStatus(t("statusCancelling"));
+}
+
+// Exportar .ics ------------------------------------------
+/**
+ * Saves a text file through a temporary download link.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME type.
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Asks the background for an .ics export (EXPORT_ICS) and downloads it.
+ * @param {Object} payload - { runId } or { slots, summary, colorId }.
+ */
+function exportIcs(payload) {
+  setStatus(t("statusExporting"));
+
+  chrome.runtime.sendMessage({ type: "EXPORT_ICS", payload }, (response) => {
+    if (response?.success) {
+      downloadFile(response.filename, response.content, "text/calendar;charset=utf-8");
+      setStatus(t("statusExported", [response.totalEvents, response.filename]));
+    } else {
+      setErrorStatus(response, "errorExport");
+    }
+  });
+}
+
+/**
+ * Asks the background to move the blocks of the popup's date range that now
+ * collide with other events (REFLOW_EVENTS).
+ */
+function reflowEvents() {
+  const { dateStart, dateEnd } = buildPayload();
+  setStatus(t("statusReflowing"));
+
+  chrome.runtime.sendMessage(
+    { type: "REFLOW_EVENTS", payload: { dateStart, dateEnd } },
+    (response) => {
+      if (response?.success) {
+        setStatus(response.message || t("statusReflowDone"));
+      } else {
+        setErrorStatus(response, "errorReflow");
+      }
+    }
+  );
+}
+
+// Cola de tareas -----------------------------------------
+/* ============================================================================
+   Multi-task Queue
+   ----------------------------------------------------------------------------
+   Tasks (name, color, hours, deadline, priority) are kept in
+   chrome.storage.local ("taskQueue") and planned together by the
+   background (RUN_TASK_QUEUE / PREVIEW_TASK_QUEUE).
+   ============================================================================ */
+
+/**
+ * Current task queue, mirrored in chrome.storage.local.
+ * @type {Array<{ id: string, name: string, color: string, hours: string, deadline: string, priority: string }>}
+ */
+let taskQueue = [];
+
+/**
+ * Copies the event color options into the queue task color select.
+ */
+function fillQueueColorOptions() {
+  const source = document.getElementById("eventColor");
+  const target = document.getElementById("queueTaskColor");
+  target.textContent = "";
+  Array.from(source.options).forEach((opt) => target.appendChild(opt.cloneNode(true)));
+}
+
+/**
+ * Loads the task queue from storage and renders it.
+ */
+async function loadTaskQueue() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get("taskQueue", (data) => {
+      taskQueue = data.taskQueue || [];
+      renderTaskQueue();
+      resolve();
+    });
+  });
+}
+
+/**
+ * Persists the task queue and re-renders it.
+ */
+function saveTaskQueue() {
+  chrome.storage.local.set({ taskQueue });
+  renderTaskQueue();
+}
+
+/**
+ * Renders the queued tasks with a remove button each.
+ */
+function renderTaskQueue() {
+  const list = document.getElementById("taskQueueList");
+  list.textContent = "";
+
+  if (!taskQueue.length) {
+    list.textContent = t("popupQueueEmpty");
+    return;
+  }
+
+  taskQueue.forEach((task) => {
+    const item = document.createElement("div");
+    item.className = "queue-item";
+
+    const info = document.createElement("div");
+    info.textContent = task.name;
+
+    const details = document.createElement("small");
+    details.textContent =
+      t("queueTaskDetails", [
+        task.hours,
+        formatDateTime(task.deadline),
+        [1, 2, 3].includes(Number(task.priority)) ? t(`priority${task.priority}`) : task.priority,
+      ]);
+    info.appendChild(details);
+
+    const btnRemove = document.createElement("button");
+    btnRemove.type = "button";
+    btnRemove.className = "secondary";
+    btnRemove.textContent = t("buttonRemove");
+    btnRemove.addEventListener("click", () => {
+      taskQueue = taskQueue.filter((queued) => queued.id !== task.id);
+      saveTaskQueue();
+    });
+
+    item.append(info, btnRemove);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Adds the task described by the queue form fields.
+ */
+function addQueueTask() {
+  const name = document.getElementById("queueTaskName").value.trim();
+  const hours = document.getElementById("queueTaskHours").value;
+  const deadline = document.getElementById("queueTaskDeadline").value;
+
+  if (!name || !(Number(hours) > 0) || !deadline) {
+    setStatus(t("queueTaskIncomplete"));
+    return;
+  }
+
+  taskQueue.push({
+    id: crypto.randomUUID(),
+    name,
+    color: document.getElementById("queueTaskColor").value,
+    hours,
+    deadline,
+    priority: document.getElementById("queueTaskPriority").value,
+  });
+  saveTaskQueue();
+
+  document.getElementById("queueTaskName").value = "";
+  document.getElementById("queueTaskHours").value = "";
+  setStatus(t("queueTaskAdded", name));
+}
+
+/**
+ * Builds the RUN_TASK_QUEUE / PREVIEW_TASK_QUEUE payload. Planning starts
+ * at the task start field of the range section, or now if it is empty.
+ * @returns {Object}
+ */
+function buildQueuePayload() {
+  return {
+    tasks: taskQueue,
+    strategy: document.getElementById("queueStrategy").value,
+    start: document.getElementById("taskStartDateTime").value,
+  };
+}
+
+// Presets -----------------------------------------------
+/* ============================================================================
+   Task Presets
+   ----------------------------------------------------------------------------
+   Named snapshots of the popup form plus the task queue and its strategy,
+   kept in chrome.storage.sync ("taskPresets") so they follow the user
+   across machines. Loading a preset replaces the form and the queue.
+   ============================================================================ */
+
+/** Maximum number of presets; chrome.storage.sync items are small. */
+const MAX_PRESETS = 20;
+
+/**
+ * Saved presets, mirrored in chrome.storage.sync.
+ * @type {Array<{ id: string, name: string, form: Object, queue: Array<Object>, queueStrategy: string }>}
+ */
+let taskPresets = [];
+
+/**
+ * Loads the presets from storage and renders the dropdown.
+ */
+async function loadTaskPresets() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get("taskPresets", (data) => {
+      taskPresets = data.taskPresets || [];
+      renderTaskPresets();
+      resolve();
+    });
+  });
+}
+
+/**
+ * Persists the presets and re-renders the dropdown, selecting the given
+ * preset. Storage errors (e.g. the sync quota) are shown in the status box
+ * and the stored presets are reloaded.
+ * @param {string} [selectedId]
+ * @param {string} [successMsg]
+ */
+function saveTaskPresets(selectedId = "", successMsg = "") {
+  chrome.storage.sync.set({ taskPresets }, () => {
+    if (chrome.runtime.lastError) {
+      setStatus(t("presetsSaveFailed", chrome.runtime.lastError.message));
+      loadTaskPresets();
+      return;
+    }
+    renderTaskPresets(selectedId);
+    if (successMsg) setStatus(successMsg);
+  });
+}
+
+/**
+ * Renders the preset dropdown.
+ * @param {string} [selectedId] - Preset to keep selected.
+ */
+function renderTaskPresets(selectedId = "") {
+  const select = document.getElementById("presetSelect");
+  select.textContent = "";
+
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = t(taskPresets.length ? "presetChoose" : "presetsEmpty");
+  select.appendChild(placeholder);
+
+  taskPresets.forEach((preset) => {
+    const option = document.createElement("option");
+    option.value = preset.id;
+    option.textContent = preset.name;
+    select.appendChild(option);
+  });
+
+  select.value = taskPresets.some((p) => p.id === selectedId) ? selectedId : "";
+  document.getElementById("btnRenamePreset").disabled = !select.value;
+  document.getElementById("btnDeletePreset").disabled = !select.value;
+}
+
+/**
+ * Returns the preset selected in the dropdown, if any.
+ * @returns {Object | undefined}
+ */
+function selectedPreset() {
+  const id = document.getElementById("presetSelect").value;
+  return taskPresets.find((p) => p.id === id);
+}
+
+/**
+ * Loads the selected preset into the form and the task queue.
+ */
+function applySelectedPreset() {
+  const preset = selectedPreset();
+  renderTaskPresets(preset?.id);
+  if (!preset) return;
+
+  applyFormValues(preset.form || {});
+  saveFormValues();
+
+  taskQueue = (preset.queue || []).map((task) => ({ ...task, id: crypto.randomUUID() }));
+  saveTaskQueue();
+  document.getElementById("queueStrategy").value = preset.queueStrategy || "deadline";
+
+  document.getElementById("presetName").value = preset.name;
+  clearPreview();
+  setStatus(t("presetLoaded", preset.name));
+}
+
+/**
+ * Saves the current form and queue under the typed name, replacing the
+ * preset with the same name if there is one.
+ */
+function saveCurrentPreset() {
+  const name = document.getElementById("presetName").value.trim();
+  if (!name) {
+    setStatus(t("presetNameMissing"));
+    return;
+  }
+
+  const existing = taskPresets.find((p) => p.name === name);
+  if (!existing && taskPresets.length >= MAX_PRESETS) {
+    setStatus(t("presetsFull", MAX_PRESETS));
+    return;
+  }
+
+  const preset = {
+    id: existing?.id || crypto.randomUUID(),
+    name,
+    form: readFormValues(),
+    queue: taskQueue.map(({ id, ...task }) => task),
+    queueStrategy: document.getElementById("queueStrategy").value,
+  };
+  taskPresets = existing
+    ? taskPresets.map((p) => (p.id === existing.id ? preset : p))
+    : [...taskPresets, preset];
+
+  saveTaskPresets(preset.id, t(existing ? "presetUpdated" : "presetSaved", name));
+}
+
+/**
+ * Renames the selected preset to the typed name.
+ */
+function renameSelectedPreset() {
+  const preset = selectedPreset();
+  const name = document.getElementById("presetName").value.trim();
+  if (!preset) return;
+
+  if (!name) {
+    setStatus(t("presetNewNameMissing"));
+    return;
+  }
+  if (taskPresets.some((p) => p.name === name && p.id !== preset.id)) {
+    setStatus(t("presetNameTaken", name));
+    return;
+  }
+
+  taskPresets = taskPresets.map((p) => (p.id === preset.id ? { ...p, name } : p));
+  saveTaskPresets(preset.id, t("presetRenamed", name));
+}
+
+/**
+ * Deletes the selected preset.
+ */
+function deleteSelectedPreset() {
+  const preset = selectedPreset();
+  if (!preset) return;
+
+  taskPresets = taskPresets.filter((p) => p.id !== preset.id);
+  document.getElementById("presetName").value = "";
+  saveTaskPresets("", t("presetDeleted", preset.name));
+}
+
+// Historial ----------------------------------------------
+/* ============================================================================
+   Run History
+   ----------------------------------------------------------------------------
+   Lists previous scheduler runs (GET_HISTORY) and lets the user undo one
+   (UNDO_RUN), which deletes every event that run created.
+   ============================================================================ */
+
+/**
+ * Requests the run history from the background and renders it.
+ */
+function loadHistory() {
+  chrome.runtime.sendMessage({ type: "GET_HISTORY" }, (response) => {
+    if (response?.success) renderHistory(response.history);
+  });
+}
+
+/**
+ * Renders the run history list.
+ * @param {Array<Object>} history
+ */
+function renderHistory(history) {
+  const list = document.getElementById("historyList");
+  list.textContent = "";
+
+  if (!history.length) {
+    list.textContent = t("historyEmpty");
+    return;
+  }
+
+  history.forEach((run) => {
+    const item = document.createElement("div");
+    item.className = "history-item";
+
+    const info = document.createElement("div");
+    info.textContent =
+      run.payload?.eventName ||
+      (run.payload?.tasks ? t("historyQueueRun", run.payload.tasks.length) : t("historyUnnamed"));
+
+    const details = document.createElement("small");
+    details.textContent =
+      `${formatDateTime(run.createdAt)} · ${t("historyEvents", run.eventIds.length)}` +
+      (run.failedSlots?.length ? ` · ${t("historyFailed", run.failedSlots.length)}` : "") +
+      (run.cancelled ? ` · ${t("historyCancelled")}` : "") +
+      (run.resumedAt ? ` · ${t("historyResumed")}` : "") +
+      (run.interruptedAt ? ` · ${t("historyInterrupted")}` : "") +
+      (run.undoneAt ? ` · ${t("historyUndone")}` : "");
+    info.appendChild(details);
+
+    const btnExport = document.createElement("button");
+    btnExport.type = "button";
+    btnExport.className = "secondary";
+    btnExport.textContent = ".ics";
+    btnExport.title = t("historyExportTitle");
+    btnExport.disabled = Boolean(run.undoneAt);
+    btnExport.addEventListener("click", () => exportIcs({ runId: run.id }));
+
+    const btnUndo = document.createElement("button");
+    btnUndo.type = "button";
+    btnUndo.className = "secondary";
+    btnUndo.textContent = t("buttonUndo");
+    btnUndo.disabled = Boolean(run.undoneAt);
+    btnUndo.addEventListener("click", () => undoRun(run.id));
+
+    item.append(info, btnExport, btnUndo);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Asks the background to undo a run and refreshes the history afterwards.
+ * @param {string} runId
+ */
+function undoRun(runId) {
+  setStatus(t("statusUndoing"));
+
+  chrome.runtime.sendMessage({ type: "UNDO_RUN", runId }, (response) => {
+    if (response?.success) {
+      setStatus(response.message || t("statusUndone"));
+    } else {
+      setErrorStatus(response, "errorUndo");
+    }
+    loadHistory();
+  });
+}
+
 // Main ----------------------------------------------------
 /* ============================================================================
    Main Popup Initialization
    ----------------------------------------------------------------------------
    Handles:
+   - Localizing the page
    - Loading saved values
    - Checking authentication state
+   - Showing the connected Google account, disconnecting and switching accounts
    - Handling UI interactions
+   - Previewing the plan (dry-run) and confirming selected blocks
+   - Managing the multi-task queue
+   - Saving and loading task presets
+   - Showing the real event color palette
+   - Showing the run history and undoing runs
    - Triggering the calendar scheduler via background scripts
    ============================================================================ */
 document.addEventListener("DOMContentLoaded", async () => {
   const btnConnect = document.getElementById("btnConnect");
+  const btnLogout = document.getElementById("btnLogout");
+  const btnSwitchAccount = document.getElementById("btnSwitchAccount");
   const btnRun = document.getElementById("btnRunScheduler");
+  const btnPreview = document.getElementById("btnPreviewScheduler");
+  const btnCommitPreview = document.getElementById("btnCommitPreview");
+  const btnCancelPreview = document.getElementById("btnCancelPreview");
+  const btnExportPreview = document.getElementById("btnExportPreview");
+  const btnAddQueueTask = document.getElementById("btnAddQueueTask");
+  const btnPreviewQueue = document.getElementById("btnPreviewQueue");
+  const btnRunQueue = document.getElementById("btnRunQueue");
+  const btnReflow = document.getElementById("btnReflow");
+
+  // Textos del idioma del navegador (antes de copiar las opciones de color)
+  localizePage();
 
   // Cargar valores previos
+  fillQueueColorOptions();
   await loadFormValues();
+  await loadTaskQueue();
+  await loadTaskPresets();
+  loadHistory();
+  loadEventColors();
 
   // Guardar automáticamente al cambiar
   document.querySelectorAll("input, select").forEach((el) => {
     el.addEventListener("change", saveFormValues);
   });
+  document
+    .getElementById("useCustomWorkday")
+    .addEventListener("change", toggleCustomWorkday);
+  COLOR_SELECTS.forEach(({ selectId }) => {
+    document.getElementById(selectId).addEventListener("change", updateColorSwatches);
+  });
 
   // Verificar autenticación
-  setStatus("Verificando sesión...");
+  setStatus(t("statusCheckingSession"));
   disableRun(true);
+  checkAuth();
+  loadAccount();
 
-  chrome.runtime.sendMessage({ type: "CHECK_AUTH" }, (response) => {
-    if (response?.isAuthenticated) {
-      setStatus("Conectado a Google Calendar");
-      disableRun(false);
-    } else {
-      setStatus("Conéctate a Google para usar el scheduler.");
-      disableRun(true);
-    }
-  });
-
-  // Botón conectar
-  btnConnect.addEventListener("click", () => {
-    setStatus("Conectando...");
+  /**
+   * Runs the Google OAuth flow (with the account chooser) and shows the
+   * connected account.
+   */
+  function connectGoogle() {
+    setStatus(t("statusConnecting"));
     disableRun(true);
 
     chrome.runtime.sendMessage({ type: "AUTH_GOOGLE" }, (response) => {
       if (response?.success) {
-        setStatus("Conectado correctamente ✔️");
+        setStatus(t("statusConnected"));
         disableRun(false);
       } else {
-        setStatus("Error: " + (response?.error || "No se pudo conectar."));
+        setErrorStatus(response, "errorConnect");
       }
+      loadAccount();
+    });
+  }
+
+  /**
+   * Revokes and removes the Google session.
+   * @returns {Promise<Object | undefined>} LOGOUT response.
+   */
+  function logout() {
+    setStatus(t("statusLoggingOut"));
+    disableRun(true);
+    btnLogout.disabled = true;
+    btnSwitchAccount.disabled = true;
+
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "LOGOUT" }, (response) => {
+        btnLogout.disabled = false;
+        btnSwitchAccount.disabled = false;
+        loadAccount();
+        resolve(response);
+      });
     });
+  }
+
+  // Botón conectar
+  btnConnect.addEventListener("click", connectGoogle);
+
+  // Botón desconectar
+  btnLogout.addEventListener("click", async () => {
+    const response = await logout();
+    // Con el proveedor local o CalDAV se puede seguir planificando
+    await checkAuth();
+    if (!response?.success) {
+      setErrorStatus(response, "errorLogout");
+    } else {
+      setStatus(response.revoked ? t("statusLoggedOut") : t("statusLoggedOutNotRevoked"));
+    }
+  });
+
+  // Botón cambiar de cuenta: desconectar y volver a conectar eligiendo cuenta
+  btnSwitchAccount.addEventListener("click", async () => {
+    const response = await logout();
+    if (!response?.success) {
+      await checkAuth();
+      setErrorStatus(response, "errorLogout");
+      return;
+    }
+    connectGoogle();
+  });
+
+  // Botón previsualizar (dry-run)
+  btnPreview.addEventListener("click", () => {
+    requestPreview("PREVIEW_SCHEDULER", "RUN_SCHEDULER", buildPayload());
+  });
+
+  // Confirmar solo los bloques seleccionados
+  btnCommitPreview.addEventListener("click", () => {
+    if (!preview) return;
+
+    const selectedSlots = getSelectedSlots();
+    if (!selectedSlots.length) {
+      setStatus(t("statusNoSlotsSelected"));
+      return;
+    }
+
+    const { runType, payload } = preview;
+    clearPreview();
+    runScheduler(runType, { ...payload, selectedSlots });
+  });
+
+  // Exportar a .ics los bloques seleccionados de la previsualización
+  btnExportPreview.addEventListener("click", () => {
+    if (!preview) return;
+
+    const slots = getSelectedSlots();
+    if (!slots.length) {
+      setStatus(t("statusNoSlotsSelected"));
+      return;
+    }
+
+    const { payload } = preview;
+    exportIcs({ slots, summary: payload.eventName, colorId: payload.eventColor });
+  });
+
+  btnCancelPreview.addEventListener("click", () => {
+    clearPreview();
+    setStatus(t("statusPreviewDiscarded"));
   });
 
   // Botón ejecutar scheduler
   btnRun.addEventListener("click", () => {
-    setStatus("Generando bloques...");
-
-    const eventName = document.getElementById("eventName").value;
-    const eventColor = document.getElementById("eventColor").value;
-    const workdayStart = document.getElementById("workdayStart").value;
-    const workdayEnd = document.getElementById("workdayEnd").value;
-
-    const startDT = document.getElementById("taskStartDateTime").value;
-    const endDT = document.getElementById("taskEndDateTime").value;
-
-    const { date: dateStart, time: taskStart } = splitDateTime(startDT);
-    const { date: dateEnd, time: taskEnd } = splitDateTime(endDT);
-
-    const payload = {
-      eventName,
-      eventColor,
-      dateStart,
-      dateEnd,
-      workdayStart,
-      workdayEnd,
-      taskStart,
-      taskEnd,
-    };
-
-    chrome.runtime.sendMessage(
-      { type: "RUN_SCHEDULER", payload },
-      (response) => {
-        if (response?.success) {
-          setStatus(response.message || "Bloques creados ✔️");
-        } else {
-          setStatus("Error: " + (response?.error || "No se pudo crear los bloques."));
-        }
-      }
-    );
+    clearPreview();
+    runScheduler("RUN_SCHEDULER", buildPayload());
+  });
+
+  // Cancelar la ejecución en curso
+  document.getElementById("btnCancelRun").addEventListener("click", cancelRun);
+
+  // Reacomodar bloques que chocan con reuniones nuevas
+  btnReflow.addEventListener("click", () => {
+    clearPreview();
+    reflowEvents();
+  });
+
+  // Cola de tareas
+  btnAddQueueTask.addEventListener("click", addQueueTask);
+
+  // Presets
+  document.getElementById("presetSelect").addEventListener("change", applySelectedPreset);
+  document.getElementById("btnSavePreset").addEventListener("click", saveCurrentPreset);
+  document.getElementById("btnRenamePreset").addEventListener("click", renameSelectedPreset);
+  document.getElementById("btnDeletePreset").addEventListener("click", deleteSelectedPreset);
+
+  btnPreviewQueue.addEventListener("click", () => {
+    requestPreview("PREVIEW_TASK_QUEUE", "RUN_TASK_QUEUE", buildQueuePayload());
+  });
+
+  btnRunQueue.addEventListener("click", () => {
+    clearPreview();
+    runScheduler("RUN_TASK_QUEUE", buildQueuePayload());
   });
 });
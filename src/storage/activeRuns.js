@@ -0,0 +1,91 @@
+// src/storage/activeRuns.js
+/**
+ * Active Run Storage
+ *
+ * Checkpoints of the runs that are still creating events, kept in
+ * chrome.storage.local so a run interrupted by a service-worker shutdown (or
+ * a browser restart) can be resumed or reported when the worker starts
+ * again. A checkpoint is removed as soon as its run ends.
+ *
+ * Dates are stored as ISO strings.
+ */
+
+const ACTIVE_RUNS_KEY = "activeRuns";
+
+/** Tail of the queue of pending read-modify-write cycles on the checkpoints. */
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Loads every stored checkpoint.
+ *
+ * @returns {Promise<Array<{
+ *   run: Object;            // run record being filled (see history.js)
+ *   eventParams: {
+ *     calendarId: string;
+ *     summary?: string;
+ *     timeZone: string;
+ *     colorId?: string | number;
+ *     deadline: string;     // "" if none
+ *   };
+ *   pendingSlots: Array<{ start: string; end: string; summary?: string; colorId?: string; deadline?: string }>;
+ *   updatedAt: string;
+ * }>>}
+ */
+export function loadActiveRuns() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(ACTIVE_RUNS_KEY, data => {
+      resolve(data[ACTIVE_RUNS_KEY] || []);
+    });
+  });
+}
+
+/**
+ * Overwrites the stored checkpoints.
+ *
+ * @param {Array<Object>} checkpoints
+ * @returns {Promise<boolean>} Resolves true once stored.
+ */
+function saveActiveRuns(checkpoints) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [ACTIVE_RUNS_KEY]: checkpoints }, () => resolve(true));
+  });
+}
+
+/**
+ * Applies a change to the stored checkpoints. Changes are queued one after
+ * the other, so concurrent checkpoints of the same run are not lost.
+ *
+ * @param {(checkpoints: Array<Object>) => Array<Object>} change
+ * @returns {Promise<void>}
+ */
+function updateActiveRuns(change) {
+  const update = pendingUpdate.then(async () => {
+    await saveActiveRuns(change(await loadActiveRuns()));
+  });
+  pendingUpdate = update.catch(() => {});
+  return update;
+}
+
+/**
+ * Stores (or replaces) the checkpoint of a run. The checkpoint is serialized
+ * when it is written, so the latest state of the run is always stored.
+ *
+ * @param {{ run: { id: string } }} checkpoint - See loadActiveRuns for its shape.
+ * @returns {Promise<void>}
+ */
+export function saveActiveRun(checkpoint) {
+  return updateActiveRuns((checkpoints) => [
+    ...checkpoints.filter((c) => c.run.id !== checkpoint.run.id),
+    JSON.parse(JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() })),
+  ]);
+}
+
+/**
+ * Removes the checkpoint of a run, if any.
+ *
+ * @param {string} runId
+ * @returns {Promise<void>}
+ */
+export function deleteActiveRun(runId) {
+  return updateActiveRuns((checkpoints) => checkpoints.filter((c) => c.run.id !== runId));
+}
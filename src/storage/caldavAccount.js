@@ -0,0 +1,50 @@
+// src/storage/caldavAccount.js
+/**
+ * CalDAV Account Storage
+ *
+ * The server URL and username of the CalDAV provider live in the synced
+ * configuration (config.js). The password is kept apart, in
+ * chrome.storage.local, so it never leaves this browser.
+ */
+import { loadConfig } from "./config.js";
+
+const CALDAV_PASSWORD_KEY = "caldavPassword";
+
+/**
+ * Loads the stored CalDAV password.
+ *
+ * @returns {Promise<string>} "" if none was saved.
+ */
+export function loadCaldavPassword() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(CALDAV_PASSWORD_KEY, data => {
+      resolve(data[CALDAV_PASSWORD_KEY] || "");
+    });
+  });
+}
+
+/**
+ * Stores the CalDAV password.
+ *
+ * @param {string} password
+ * @returns {Promise<boolean>} Resolves true once stored.
+ */
+export function saveCaldavPassword(password) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [CALDAV_PASSWORD_KEY]: password }, () => resolve(true));
+  });
+}
+
+/**
+ * Loads the full CalDAV account (config + local password).
+ *
+ * @returns {Promise<{ serverUrl: string; username: string; password: string }>}
+ */
+export async function loadCaldavAccount() {
+  const cfg = await loadConfig();
+  return {
+    serverUrl: (cfg.caldavServerUrl || "").trim(),
+    username: (cfg.caldavUsername || "").trim(),
+    password: await loadCaldavPassword(),
+  };
+}
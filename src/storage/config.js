@@ -1,28 +1,422 @@
 // src/storage/config.js
+/**
+ * Scheduler Configuration Storage
+ *
+ * The configuration edited in the options page lives in chrome.storage.sync
+ * ("schedulerConfig"). This module is the single place that knows its shape:
+ * - DEFAULT_CONFIG: the default of every setting.
+ * - CONFIG_VERSION / migrateConfig: configs saved by older versions are
+ *   upgraded step by step when they are loaded or imported. A config stored
+ *   by a newer version is read as well as possible but never overwritten,
+ *   so its unknown settings are not lost.
+ * - normalizeConfig: fills in defaults and converts the text typed in the
+ *   options inputs to the stored types.
+ * - validateConfig: field-level error messages; invalid configs are never saved.
+ * - buildConfigExport / parseConfigExport: JSON export/import of the
+ *   configuration, without the secrets (EXPORT_EXCLUDED_FIELDS).
+ *
+ * Version history:
+ * - 1: unversioned; every value as typed in its input (numbers as strings).
+ * - 2: "version" field; numeric settings stored as numbers.
+ */
+import { isValidTimeZone } from "../lib/timezone.js";
+import { t } from "../lib/i18n.js";
+
+/** Current version of the stored configuration. */
+export const CONFIG_VERSION = 2;
+
+/** Value of the "format" field of exported configuration files. */
+const EXPORT_FORMAT = "calendar-scheduler-config";
+
+/**
+ * Settings left out of export files because they are secrets. On import
+ * they keep the value already stored in this browser.
+ */
+const EXPORT_EXCLUDED_FIELDS = ["clientSecret"];
+
+/**
+ * Default weekly working hours, indexed by weekday (0 = Sunday ... 6 = Saturday).
+ * Monday to Friday 07:00–17:00, weekends off.
+ */
+export const DEFAULT_WEEKLY_SCHEDULE = [
+  { enabled: false, start: "07:00", end: "17:00" },
+  { enabled: true, start: "07:00", end: "17:00" },
+  { enabled: true, start: "07:00", end: "17:00" },
+  { enabled: true, start: "07:00", end: "17:00" },
+  { enabled: true, start: "07:00", end: "17:00" },
+  { enabled: true, start: "07:00", end: "17:00" },
+  { enabled: false, start: "07:00", end: "17:00" },
+];
+
+/**
+ * Default value of every setting. A setting missing from the stored config
+ * takes its value from here.
+ */
+export const DEFAULT_CONFIG = Object.freeze({
+  calendarProvider: "google",
+  calendarId: "primary",
+  busyCalendarIds: [],        // vacío = solo calendarId
+  slotMinutes: 30,
+  blockMode: "slots",         // "slots" | "merge"
+  minBlockMinutes: 30,
+  maxBlockMinutes: 120,
+  timezone: "America/Bogota",
+  weeklySchedule: DEFAULT_WEEKLY_SCHEDULE,
+  reflowIntervalHours: 0,     // 0 = sin reacomodo automático
+  reflowDays: 7,
+  caldavServerUrl: "",
+  caldavUsername: "",
+  eventDescription: "",
+  eventLocation: "",
+  eventReminders: "default",  // "default" | "none" | "custom"
+  eventReminderMinutes: "",   // "10, 30" cuando son personalizados
+  eventTransparency: "opaque",
+  eventVisibility: "default",
+  eventConference: "",        // "meet" = pedir un enlace de Google Meet
+  clientId: "",
+  clientSecret: "",
+});
+
+/** Settings stored as numbers (typed as text in the options page). */
+const NUMBER_FIELDS = [
+  "slotMinutes",
+  "minBlockMinutes",
+  "maxBlockMinutes",
+  "reflowIntervalHours",
+  "reflowDays",
+];
+
+/** Allowed values of the settings chosen from a fixed list. */
+const ENUM_FIELDS = {
+  calendarProvider: ["google", "local", "caldav"],
+  blockMode: ["slots", "merge"],
+  eventReminders: ["default", "none", "custom"],
+  eventTransparency: ["opaque", "transparent"],
+  eventVisibility: ["default", "private", "public"],
+  eventConference: ["", "meet"],
+};
+
+/**
+ * Upgrades, keyed by the version they start from. Each one returns the
+ * config of the next version.
+ */
+const MIGRATIONS = {
+  1: (cfg) => {
+    const next = { ...cfg, version: 2 };
+    NUMBER_FIELDS.forEach((key) => {
+      if (typeof next[key] === "string") {
+        // Antes, un campo vacío significaba "valor por defecto"
+        if (next[key].trim() === "") delete next[key];
+        else next[key] = Number(next[key]);
+      }
+    });
+    if (typeof next.busyCalendarIds === "string") {
+      next.busyCalendarIds = next.busyCalendarIds.split("\n").map((id) => id.trim()).filter(Boolean);
+    }
+    return next;
+  },
+};
+
+/**
+ * Upgrades a stored or imported config to CONFIG_VERSION. Configs without a
+ * "version" field are version 1. A config from a newer version of the
+ * extension is returned unchanged.
+ *
+ * @param {Object} config
+ * @returns {Object} The config at CONFIG_VERSION (or newer).
+ */
+export function migrateConfig(config) {
+  let cfg = { ...config };
+  let version = Number(cfg.version) || 1;
+
+  while (version < CONFIG_VERSION) {
+    cfg = MIGRATIONS[version](cfg);
+    version = cfg.version;
+  }
+  return cfg;
+}
+
+/**
+ * Fills in the defaults of the missing settings and converts the values
+ * typed in the options inputs to their stored types (numbers, trimmed
+ * strings). Unknown settings are dropped. Values that cannot be converted
+ * are kept as they are, so validateConfig reports them.
+ *
+ * @param {Object} config - Migrated config, or the values read from the options inputs.
+ * @returns {Object} A config with every setting of DEFAULT_CONFIG and the current version.
+ */
+export function normalizeConfig(config) {
+  const cfg = { version: CONFIG_VERSION };
+
+  Object.entries(DEFAULT_CONFIG).forEach(([key, defaultValue]) => {
+    let value = config[key];
+    if (typeof value === "string" && key !== "eventDescription") value = value.trim();
+
+    if (value === undefined || value === null || value === "") {
+      cfg[key] = defaultValue;
+    } else if (NUMBER_FIELDS.includes(key) && typeof value === "string") {
+      cfg[key] = Number(value);
+    } else {
+      cfg[key] = value;
+    }
+  });
+
+  return cfg;
+}
+
+/**
+ * Checks a weekly schedule: 7 weekdays with valid "HH:MM" times, and a
+ * start before the end on enabled days.
+ *
+ * @param {*} schedule
+ * @returns {string | null} Error message, or null if valid.
+ */
+function validateWeeklySchedule(schedule) {
+  if (!Array.isArray(schedule) || schedule.length !== 7) {
+    return t("configErrorScheduleDays");
+  }
+  const timeRe = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  for (const index of [1, 2, 3, 4, 5, 6, 0]) {
+    const day = schedule[index];
+    if (!day || typeof day.enabled !== "boolean") {
+      return t("configErrorScheduleDay", t(`weekday${index}`));
+    }
+    if (day.enabled && (!timeRe.test(day.start) || !timeRe.test(day.end) || day.end <= day.start)) {
+      return t("configErrorScheduleRange", t(`weekday${index}`));
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the custom reminders text ("10, 30"): 1 to 5 whole minute values
+ * of at most 4 weeks, the limits of Google Calendar.
+ *
+ * @param {string} text
+ * @returns {string | null} Error message, or null if valid.
+ */
+function validateReminderMinutes(text) {
+  const minutes = String(text)
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map(Number);
+
+  if (
+    !minutes.length ||
+    minutes.length > 5 ||
+    minutes.some((m) => !Number.isInteger(m) || m < 0 || m > 40320)
+  ) {
+    return t("configErrorReminders");
+  }
+  return null;
+}
+
+/**
+ * Checks that a value is a whole number within a range.
+ *
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {string | null} Error message, or null if valid.
+ */
+function validateInteger(value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return t("configErrorInteger", [min, max]);
+  }
+  return null;
+}
+
+/**
+ * Validates a normalized config.
+ *
+ * @param {Object} config - Output of normalizeConfig.
+ * @returns {Object<string, string>} Error message per invalid setting
+ *   (keyed by setting name); empty if the config is valid.
+ */
+export function validateConfig(config) {
+  const errors = {};
+  const check = (key, message) => {
+    if (message && !errors[key]) errors[key] = message;
+  };
+
+  Object.entries(ENUM_FIELDS).forEach(([key, values]) => {
+    if (!values.includes(config[key])) check(key, t("configErrorValue", String(config[key])));
+  });
+
+  if (typeof config.calendarId !== "string" || !config.calendarId) {
+    check("calendarId", t("configErrorCalendarId"));
+  }
+  if (
+    !Array.isArray(config.busyCalendarIds) ||
+    config.busyCalendarIds.some((id) => typeof id !== "string" || !id)
+  ) {
+    check("busyCalendarIds", t("configErrorBusyCalendars"));
+  }
+
+  check("slotMinutes", validateInteger(config.slotMinutes, 5, 1440));
+  check("minBlockMinutes", validateInteger(config.minBlockMinutes, 5, 1440));
+  check("maxBlockMinutes", validateInteger(config.maxBlockMinutes, 5, 1440));
+  if (config.blockMode === "merge" && config.minBlockMinutes > config.maxBlockMinutes) {
+    check("maxBlockMinutes", t("configErrorBlockLimits"));
+  }
+
+  if (!isValidTimeZone(config.timezone)) {
+    check("timezone", t("configErrorTimezone", String(config.timezone)));
+  }
+  check("weeklySchedule", validateWeeklySchedule(config.weeklySchedule));
+
+  if (!Number.isFinite(config.reflowIntervalHours) || config.reflowIntervalHours < 0) {
+    check("reflowIntervalHours", t("configErrorReflowInterval"));
+  }
+  check("reflowDays", validateInteger(config.reflowDays, 1, 60));
+
+  if (config.caldavServerUrl) {
+    let url = null;
+    try {
+      url = new URL(config.caldavServerUrl);
+    } catch {
+      // se informa abajo
+    }
+    if (!url || !["https:", "http:"].includes(url.protocol)) {
+      check("caldavServerUrl", t("configErrorCaldavUrl"));
+    }
+  }
+  if (config.calendarProvider === "caldav") {
+    if (!config.caldavServerUrl) check("caldavServerUrl", t("configErrorCaldavUrlRequired"));
+    if (!config.caldavUsername) check("caldavUsername", t("configErrorCaldavUserRequired"));
+  }
+
+  if (config.eventReminders === "custom") {
+    check("eventReminderMinutes", validateReminderMinutes(config.eventReminderMinutes));
+  }
+
+  return errors;
+}
+
+/**
+ * Builds the error thrown when a config does not pass validateConfig.
+ *
+ * @param {Object<string, string>} errors - Output of validateConfig.
+ * @returns {Error} An error whose "errors" property holds the field errors.
+ */
+function configError(errors) {
+  const [key, message] = Object.entries(errors)[0];
+  return Object.assign(new Error(t("configErrorInvalid", [key, message])), { errors });
+}
 
 /**
  * Saves the scheduler configuration object into Chrome's synced storage.
  * Uses chrome.storage.sync so settings persist across browsers where the user
  * is logged in with the same Google account.
  *
+ * The config is normalized and validated first; an invalid config is not
+ * written. Neither is any config while the stored one comes from a newer
+ * version of the extension: writing this version's shape would drop the
+ * settings it does not know.
+ *
  * @param {Object} config - Key-value configuration object for the scheduler.
- * @returns {Promise<boolean>} Resolves true once the operation completes.
+ * @returns {Promise<Object>} Resolves with the stored (normalized) config.
+ * @throws {Error} If the config is invalid; its "errors" property holds
+ *   the message of every invalid setting (see validateConfig). Also if the
+ *   stored config comes from a newer version.
  */
 export function saveConfig(config) {
-  return new Promise(resolve => {
-    chrome.storage.sync.set({ schedulerConfig: config }, () => resolve(true));
+  const cfg = normalizeConfig(config);
+  const errors = validateConfig(cfg);
+  if (Object.keys(errors).length) return Promise.reject(configError(errors));
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.get("schedulerConfig", data => {
+      const storedVersion = Number(data.schedulerConfig?.version) || 1;
+      if (storedVersion > CONFIG_VERSION) {
+        reject(new Error(t("configErrorStoredNewer", storedVersion)));
+        return;
+      }
+      chrome.storage.sync.set({ schedulerConfig: cfg }, () => resolve(cfg));
+    });
   });
 }
+
 /**
- * Loads the scheduler configuration from Chrome's synced storage.
- * If no configuration is found, an empty object is returned.
+ * Loads the scheduler configuration from Chrome's synced storage, migrated
+ * to the current version and with the defaults of the missing settings.
+ * If no configuration is found, the defaults are returned. A config from a
+ * newer version is only normalized in memory; storage is left untouched.
  *
  * @returns {Promise<Object>} A resolved configuration object.
  */
 export function loadConfig() {
   return new Promise(resolve => {
     chrome.storage.sync.get("schedulerConfig", data => {
-      resolve(data.schedulerConfig || {});
+      resolve(normalizeConfig(migrateConfig(data.schedulerConfig || {})));
     });
   });
 }
+
+/**
+ * Serializes a config as an export file, without the settings of
+ * EXPORT_EXCLUDED_FIELDS (the OAuth client secret).
+ *
+ * @param {Object} config - Output of loadConfig.
+ * @returns {string} JSON text.
+ */
+export function buildConfigExport(config) {
+  const exported = { ...config };
+  EXPORT_EXCLUDED_FIELDS.forEach((key) => delete exported[key]);
+
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: CONFIG_VERSION,
+      exportedAt: new Date().toISOString(),
+      config: exported,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Reads an export file (or a bare config object), migrating it to the
+ * current version. The settings of EXPORT_EXCLUDED_FIELDS are taken from
+ * the current config, even if the file has them.
+ *
+ * @param {string} text - JSON text.
+ * @param {Object} [current] - Config stored in this browser (output of loadConfig).
+ * @returns {Object} The normalized config, ready for saveConfig.
+ * @throws {Error} If the text is not a configuration export, comes from a
+ *   newer version of the extension, or is invalid (with an "errors" property
+ *   as in saveConfig).
+ */
+export function parseConfigExport(text, current = DEFAULT_CONFIG) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("configErrorJson"));
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(t("configErrorNotConfig"));
+  }
+
+  const wrapped = data.format === EXPORT_FORMAT;
+  const config = wrapped ? data.config : data;
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(t("configErrorNotConfig"));
+  }
+
+  const version = Number(wrapped ? data.version : config.version) || 1;
+  if (version > CONFIG_VERSION) {
+    throw new Error(t("configErrorNewerVersion", version));
+  }
+
+  const cfg = normalizeConfig(migrateConfig({ ...config, version }));
+  EXPORT_EXCLUDED_FIELDS.forEach((key) => {
+    cfg[key] = current[key] ?? DEFAULT_CONFIG[key];
+  });
+  const errors = validateConfig(cfg);
+  if (Object.keys(errors).length) throw configError(errors);
+  return cfg;
+}
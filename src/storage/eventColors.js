@@ -0,0 +1,41 @@
+// src/storage/eventColors.js
+/**
+ * Event Color Storage
+ *
+ * Caches the Google Calendar event color palette (colors.get) in
+ * chrome.storage.local, so the popup can show the real swatches without
+ * asking the API every time it opens, or while offline.
+ */
+
+const EVENT_COLORS_KEY = "eventColors";
+
+/**
+ * Loads the cached palette.
+ *
+ * @returns {Promise<{
+ *   colors: Object<string, { background: string; foreground: string }>;
+ *   fetchedAt: string;
+ * } | null>} null if it was never fetched.
+ */
+export function loadEventColors() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(EVENT_COLORS_KEY, data => {
+      resolve(data[EVENT_COLORS_KEY] || null);
+    });
+  });
+}
+
+/**
+ * Stores the palette, replacing the cached one.
+ *
+ * @param {Object<string, { background: string; foreground: string }>} colors - Keyed by colorId.
+ * @returns {Promise<boolean>} Resolves true once stored.
+ */
+export function saveEventColors(colors) {
+  return new Promise(resolve => {
+    chrome.storage.local.set(
+      { [EVENT_COLORS_KEY]: { colors, fetchedAt: new Date().toISOString() } },
+      () => resolve(true)
+    );
+  });
+}
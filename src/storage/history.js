@@ -0,0 +1,92 @@
+// src/storage/history.js
+/**
+ * Run History Storage
+ *
+ * Persists every scheduler run (payload, timestamp, target calendar and the
+ * IDs of the events it created) in chrome.storage.local, so a run can be
+ * reviewed or undone later from the popup.
+ *
+ * Only the most recent MAX_HISTORY runs are kept.
+ */
+
+const HISTORY_KEY = "runHistory";
+const MAX_HISTORY = 20;
+
+/**
+ * Loads the run history, most recent first.
+ *
+ * @returns {Promise<Array<{
+ *   id: string;
+ *   createdAt: string;
+ *   payload: Object;
+ *   calendarId: string;
+ *   eventIds: string[];
+ *   failedSlots?: Array<{ start: string; end: string; error: string }>;
+ *   undoneAt?: string;
+ *   cancelled?: boolean;      // stopped by the user before creating every slot
+ *   resumedAt?: string;       // finished after a service-worker shutdown
+ *   interruptedAt?: string;   // stopped by a shutdown and could not be resumed
+ * }>>}
+ */
+export function loadHistory() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(HISTORY_KEY, data => {
+      resolve(data[HISTORY_KEY] || []);
+    });
+  });
+}
+
+/**
+ * Overwrites the stored history list.
+ *
+ * @param {Array<Object>} history
+ * @returns {Promise<boolean>} Resolves true once stored.
+ */
+function saveHistory(history) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [HISTORY_KEY]: history }, () => resolve(true));
+  });
+}
+
+/**
+ * Adds a run at the top of the history, trimming the oldest entries.
+ * A run already in the history (same ID, e.g. saved again when resumed)
+ * is replaced.
+ *
+ * @param {Object} run - Run record (see loadHistory for its shape).
+ * @returns {Promise<Object>} The stored run.
+ */
+export async function addRun(run) {
+  const history = (await loadHistory()).filter(r => r.id !== run.id);
+  history.unshift(run);
+  await saveHistory(history.slice(0, MAX_HISTORY));
+  return run;
+}
+
+/**
+ * Returns a single run by ID.
+ *
+ * @param {string} runId
+ * @returns {Promise<Object | null>}
+ */
+export async function getRun(runId) {
+  const history = await loadHistory();
+  return history.find(run => run.id === runId) || null;
+}
+
+/**
+ * Merges the given fields into an existing run.
+ *
+ * @param {string} runId
+ * @param {Object} changes - Fields to overwrite.
+ * @returns {Promise<Object | null>} The updated run, or null if it does not exist.
+ */
+export async function updateRun(runId, changes) {
+  const history = await loadHistory();
+  const index = history.findIndex(run => run.id === runId);
+  if (index === -1) return null;
+
+  history[index] = { ...history[index], ...changes };
+  await saveHistory(history);
+  return history[index];
+}
@@ -0,0 +1,73 @@
+// src/storage/importedCalendars.js
+/**
+ * Imported Calendars Storage
+ *
+ * Persists the .ics files loaded from the options page (shift rotas, school
+ * timetables...) as parsed VEVENTs (see lib/ics.js parseIcs) in
+ * chrome.storage.local. Their occurrences are added to the busy periods
+ * every time the scheduler plans or reflows.
+ *
+ * Local storage is used on purpose: the files can be large, well beyond the
+ * chrome.storage.sync quota.
+ */
+
+const IMPORTED_CALENDARS_KEY = "importedCalendars";
+
+/**
+ * Loads every imported calendar.
+ *
+ * @returns {Promise<Array<{ id: string; name: string; importedAt: string; events: Array<Object> }>>}
+ */
+export function loadImportedCalendars() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(IMPORTED_CALENDARS_KEY, data => {
+      resolve(data[IMPORTED_CALENDARS_KEY] || []);
+    });
+  });
+}
+
+/**
+ * Overwrites the stored imported calendars.
+ *
+ * @param {Array<Object>} calendars
+ * @returns {Promise<boolean>} Resolves true once stored.
+ */
+function saveImportedCalendars(calendars) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [IMPORTED_CALENDARS_KEY]: calendars }, () => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(true);
+    });
+  });
+}
+
+/**
+ * Adds an imported calendar, replacing a previous import with the same
+ * file name (re-importing an updated rota does not duplicate it).
+ *
+ * @param {{ name: string; events: Array<Object> }} calendar
+ * @returns {Promise<Object>} The stored calendar, with its ID and import date.
+ */
+export async function addImportedCalendar({ name, events }) {
+  const calendars = await loadImportedCalendars();
+  const stored = {
+    id: crypto.randomUUID(),
+    name,
+    importedAt: new Date().toISOString(),
+    events,
+  };
+
+  await saveImportedCalendars([...calendars.filter((c) => c.name !== name), stored]);
+  return stored;
+}
+
+/**
+ * Removes an imported calendar.
+ *
+ * @param {string} id
+ * @returns {Promise<boolean>} Resolves true once stored.
+ */
+export async function deleteImportedCalendar(id) {
+  const calendars = await loadImportedCalendars();
+  return saveImportedCalendars(calendars.filter((c) => c.id !== id));
+}
@@ -0,0 +1,49 @@
+// src/storage/localEvents.js
+/**
+ * Local Calendar Storage
+ *
+ * Persists the events of the local (offline) calendar provider
+ * (see lib/providers/localProvider.js) in chrome.storage.local.
+ * Dates are stored as ISO strings.
+ */
+
+const LOCAL_EVENTS_KEY = "localCalendarEvents";
+
+/**
+ * Loads every event of the local calendar.
+ *
+ * @returns {Promise<Array<{
+ *   id: string;
+ *   calendarId: string;
+ *   summary: string;
+ *   start: string;
+ *   end: string;
+ *   colorId: string;
+ *   task: string;
+ *   runId: string;
+ *   deadline: string;
+ *   description?: string;
+ *   location?: string;
+ *   transparency?: string;
+ *   visibility?: string;
+ * }>>}
+ */
+export function loadLocalEvents() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(LOCAL_EVENTS_KEY, data => {
+      resolve(data[LOCAL_EVENTS_KEY] || []);
+    });
+  });
+}
+
+/**
+ * Overwrites the events of the local calendar.
+ *
+ * @param {Array<Object>} events
+ * @returns {Promise<boolean>} Resolves true once stored.
+ */
+export function saveLocalEvents(events) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [LOCAL_EVENTS_KEY]: events }, () => resolve(true));
+  });
+}
@@ -0,0 +1,96 @@
+// src/storage/plans.js
+/**
+ * Recurring Plans Storage
+ *
+ * Persists the recurring plans (see lib/recurringPlans.js for their shape)
+ * and their last run status in chrome.storage.local.
+ *
+ * Local storage is used on purpose: plans are executed by this browser's
+ * alarms, and syncing them would run the same plan on every machine.
+ */
+
+const PLANS_KEY = "recurringPlans";
+
+/**
+ * Loads every recurring plan.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+export function loadPlans() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(PLANS_KEY, data => {
+      resolve(data[PLANS_KEY] || []);
+    });
+  });
+}
+
+/**
+ * Overwrites the stored plans.
+ *
+ * @param {Array<Object>} plans
+ * @returns {Promise<boolean>} Resolves true once stored.
+ */
+export function savePlans(plans) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [PLANS_KEY]: plans }, () => resolve(true));
+  });
+}
+
+/**
+ * Returns a single plan by ID.
+ *
+ * @param {string} planId
+ * @returns {Promise<Object | null>}
+ */
+export async function getPlan(planId) {
+  const plans = await loadPlans();
+  return plans.find(plan => plan.id === planId) || null;
+}
+
+/**
+ * Inserts a plan, or replaces the stored plan with the same ID.
+ * The last run status of an existing plan is preserved.
+ *
+ * @param {Object} plan
+ * @returns {Promise<Object>} The stored plan.
+ */
+export async function upsertPlan(plan) {
+  const plans = await loadPlans();
+  const index = plans.findIndex(p => p.id === plan.id);
+
+  if (index === -1) {
+    plans.push(plan);
+  } else {
+    plans[index] = { ...plan, lastRun: plan.lastRun || plans[index].lastRun };
+  }
+
+  await savePlans(plans);
+  return plan;
+}
+
+/**
+ * Removes a plan.
+ *
+ * @param {string} planId
+ * @returns {Promise<boolean>} Resolves true once stored.
+ */
+export async function deletePlan(planId) {
+  const plans = await loadPlans();
+  return savePlans(plans.filter(plan => plan.id !== planId));
+}
+
+/**
+ * Stores the outcome of the latest execution of a plan.
+ *
+ * @param {string} planId
+ * @param {{ at: string; success: boolean; message: string; runId?: string }} lastRun
+ * @returns {Promise<boolean>} Resolves true once stored (false if the plan no longer exists).
+ */
+export async function setPlanLastRun(planId, lastRun) {
+  const plans = await loadPlans();
+  const plan = plans.find(p => p.id === planId);
+  if (!plan) return false;
+
+  plan.lastRun = lastRun;
+  return savePlans(plans);
+}
@@ -0,0 +1,35 @@
+// src/storage/reflow.js
+/**
+ * Reflow Status Storage
+ *
+ * Keeps the result of the last reflow (blocks moved away from new meetings)
+ * in chrome.storage.local, so automatic runs triggered by chrome.alarms can
+ * be reviewed later from the options page.
+ */
+
+const LAST_REFLOW_KEY = "lastReflow";
+
+/**
+ * Loads the result of the last reflow.
+ *
+ * @returns {Promise<Object | null>} The stored result, or null if none ran yet.
+ */
+export function loadLastReflow() {
+  return new Promise(resolve => {
+    chrome.storage.local.get(LAST_REFLOW_KEY, data => {
+      resolve(data[LAST_REFLOW_KEY] || null);
+    });
+  });
+}
+
+/**
+ * Stores the result of the last reflow, replacing the previous one.
+ *
+ * @param {{ at: string; success: boolean; message: string; unplaced?: Array<Object> }} result
+ * @returns {Promise<boolean>} Resolves true once stored.
+ */
+export function saveLastReflow(result) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [LAST_REFLOW_KEY]: result }, () => resolve(true));
+  });
+}